@@ -0,0 +1,119 @@
+// client/chat.js
+"use strict";
+
+/**
+ * Chat overlay: recent messages bottom-left over the canvas, and an input
+ * that Enter opens (Enter sends, Esc cancels). While it is open `typing` is
+ * true so main.js stops treating WASD as movement. Clicking a name ignores
+ * (or un-ignores) that player through the server.
+ */
+export function createChatBox({ net, canSend = true, onOpen = () => {} }) {
+  const MAX_LINES = 8;
+  const LINE_MS = 12000; // lines fade out after this unless the box is open
+
+  const root = document.createElement("div");
+  root.className = "chat";
+  root.innerHTML = `<ul class="chat-log"></ul><input class="chat-input" maxlength="140" placeholder="Say something… (Enter to send, Esc to cancel)" hidden />`;
+  document.body.appendChild(root);
+  const log = root.querySelector(".chat-log");
+  const input = root.querySelector(".chat-input");
+  let typing = false;
+
+  function addLine(li){
+    li.dataset.until = String(performance.now() + LINE_MS);
+    log.appendChild(li);
+    while (log.children.length > MAX_LINES) log.firstChild.remove();
+  }
+
+  function system(text){
+    const li = document.createElement("li");
+    li.className = "chat-system";
+    li.textContent = text;
+    addLine(li);
+  }
+
+  /** Show a server chat / chat-error message. */
+  function add(msg){
+    if (msg.type === "chat-error") {
+      system(msg.reason === "muted" ? `You are muted for ${Math.ceil((msg.ms || 0) / 1000)}s` : "Slow down — too many messages");
+      return;
+    }
+    const li = document.createElement("li");
+    const who = document.createElement("span");
+    who.className = "chat-name";
+    who.textContent = msg.name;
+    who.title = "Click to ignore";
+    who.onclick = () => {
+      const on = !net.isIgnored(msg.id);
+      net.setIgnored(msg.id, on);
+      system(on ? `Ignoring ${msg.name} (click their name again to undo)` : `No longer ignoring ${msg.name}`);
+    };
+    li.append(who, document.createTextNode(": " + msg.text));
+    addLine(li);
+  }
+
+  function open(){
+    if (!canSend) return;
+    typing = true;
+    onOpen();
+    input.hidden = false;
+    root.classList.add("chat-open");
+    input.focus();
+  }
+  function close(){
+    typing = false;
+    input.value = "";
+    input.hidden = true;
+    root.classList.remove("chat-open");
+    input.blur();
+  }
+
+  addEventListener("keydown", (e) => {
+    if (typing || e.code !== "Enter" || e.target instanceof HTMLInputElement) return;
+    e.preventDefault();
+    open();
+  });
+  input.addEventListener("keydown", (e) => {
+    e.stopPropagation(); // keep typed keys away from movement / camera handlers
+    if (e.code === "Enter") {
+      const text = input.value.trim();
+      if (text) net.sendChat(text);
+      close();
+    } else if (e.code === "Escape") {
+      close();
+    }
+  });
+  input.addEventListener("keyup", (e) => e.stopPropagation());
+  input.addEventListener("blur", () => { if (typing) close(); });
+
+  // fade old lines (all stay visible while typing)
+  setInterval(() => {
+    const now = performance.now();
+    for (const li of log.children) li.classList.toggle("chat-old", !typing && now > Number(li.dataset.until));
+  }, 500);
+
+  return { add, get typing(){ return typing; } };
+}
+
+const BUBBLE_MAX_CHARS = 48;
+
+/** Speech bubble with its tail at (sx, sy) (screen px, just above a shepherd). */
+export function drawSpeechBubble(ctx, sx, sy, text, alpha = 1) {
+  const line = text.length > BUBBLE_MAX_CHARS ? text.slice(0, BUBBLE_MAX_CHARS - 1) + "…" : text;
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.font = "12px system-ui, sans-serif";
+  const w = ctx.measureText(line).width + 12, h = 20;
+  const x = Math.round(sx - w / 2), y = Math.round(sy - h - 6);
+  ctx.fillStyle = "rgba(255,255,255,0.92)";
+  ctx.strokeStyle = "rgba(0,0,0,0.35)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.rect(x, y, w, h);
+  ctx.moveTo(sx - 4, y + h); ctx.lineTo(sx, y + h + 6); ctx.lineTo(sx + 4, y + h);
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = "#1b2a19";
+  ctx.fillText(line, x + 6, y + 14);
+  ctx.restore();
+}
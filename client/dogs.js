@@ -0,0 +1,64 @@
+// client/dogs.js
+"use strict";
+import { Sprites } from "./sprites.js";
+import { DOG_STATES } from "../shared/snapshot.js";
+
+/**
+ * Sheepdogs from the server's snapshots ([ownerId, x, y, state] each).
+ * Drawing only: the dog faces the way it last moved, and a guarding dog
+ * (running at a wolf) gets a small alert mark.
+ */
+export function createDogsManager() {
+  const dogs = new Map(); // owner id -> { x, y, state, facing }
+
+  function applySnapshot(list) {
+    const seen = new Set();
+    for (const [id, x, y, state] of list) {
+      seen.add(id);
+      const d = dogs.get(id);
+      if (!d) { dogs.set(id, { x, y, state: DOG_STATES[state], facing: 1 }); continue; }
+      if (Math.abs(x - d.x) > 0.5) d.facing = x > d.x ? 1 : -1;
+      d.x = x; d.y = y; d.state = DOG_STATES[state];
+    }
+    for (const id of dogs.keys()) if (!seen.has(id)) dogs.delete(id);
+  }
+
+  function draw(ctx, cam, TILE) {
+    for (const d of dogs.values()) {
+      const sx = d.x - cam.x, sy = d.y - cam.y;
+      const size = TILE * 1.0;
+
+      ctx.save();
+      ctx.fillStyle = "rgba(0,0,0,0.25)";
+      ctx.beginPath(); ctx.ellipse(sx, sy + TILE*0.25, TILE*0.32, TILE*0.12, 0, 0, Math.PI*2);
+      ctx.fill();
+
+      const spr = Sprites.dog;
+      if (spr.ready) {
+        ctx.save();
+        ctx.imageSmoothingEnabled = false;
+        ctx.translate(sx, sy);
+        ctx.scale(d.facing, 1);
+        ctx.drawImage(spr.img, -size/2, -size/2, size, size);
+        ctx.restore();
+      } else {
+        // fallback
+        ctx.beginPath(); ctx.arc(sx, sy, TILE*0.3, 0, Math.PI*2);
+        ctx.fillStyle = "#2b2420"; ctx.fill();
+        ctx.lineWidth = 2; ctx.strokeStyle = "#f2efe8"; ctx.stroke();
+      }
+      ctx.restore();
+
+      if (d.state === "guard") {
+        ctx.save();
+        ctx.fillStyle = "#7fd0ff";
+        ctx.font = `bold ${Math.round(TILE*0.6)}px system-ui, sans-serif`;
+        ctx.textAlign = "center";
+        ctx.fillText("!", sx, sy - TILE*0.6);
+        ctx.restore();
+      }
+    }
+  }
+
+  return { applySnapshot, draw, has: (id) => dogs.has(id) };
+}
@@ -0,0 +1,54 @@
+// client/effects.js
+"use strict";
+import { BARK_RADIUS_TILES, SHEAR_RADIUS_TILES } from "../shared/player.js";
+
+/**
+ * Expanding rings where a shepherd barked, called the herd in or sheared,
+ * and a rising "sold!" at the trading post or "stolen!" where a sheep was
+ * rustled, from the server's "effect" messages ({kind, id, x, y} in world
+ * px). Drawn in world space, so they sit under the camera's zoom like
+ * everything else.
+ */
+export function createEffects({ TILE }) {
+  const RING_MS = 700;
+  const TEXT_MS = 1400;
+  const KINDS = {
+    bark:   { color: "255,210,122", radius: TILE * BARK_RADIUS_TILES },
+    gather: { color: "143,224,138", radius: TILE * 3 },
+    shear:  { color: "245,245,235", radius: TILE * SHEAR_RADIUS_TILES },
+    sell:   { color: "255,210,122", text: "sold!" },
+    stolen: { color: "255,128,110", text: "stolen!" },
+  };
+  const rings = []; // { kind, x, y, start }
+
+  function add(msg) {
+    if (!KINDS[msg.kind]) return;
+    rings.push({ kind: msg.kind, x: msg.x, y: msg.y, start: performance.now() });
+  }
+
+  function draw(ctx, cam) {
+    const now = performance.now();
+    ctx.save();
+    for (let i = rings.length - 1; i >= 0; i--) {
+      const ring = rings[i];
+      const { color, radius, text } = KINDS[ring.kind];
+      const t = (now - ring.start) / (text ? TEXT_MS : RING_MS);
+      if (t >= 1) { rings.splice(i, 1); continue; }
+      if (text) {
+        ctx.font = "bold 13px system-ui, sans-serif";
+        ctx.textAlign = "center";
+        ctx.fillStyle = `rgba(${color},${1 - t * t})`;
+        ctx.fillText(text, ring.x - cam.x, ring.y - cam.y - TILE * (0.6 + t));
+        continue;
+      }
+      ctx.strokeStyle = `rgba(${color},${(1 - t) * 0.9})`;
+      ctx.lineWidth = 3 * (1 - t) + 1;
+      ctx.beginPath();
+      ctx.arc(ring.x - cam.x, ring.y - cam.y, radius * (0.15 + 0.85 * t), 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  return { add, draw };
+}
@@ -0,0 +1,42 @@
+// client/feed.js
+"use strict";
+
+/**
+ * Kill-feed style notices under the round countdown: who rustled a sheep
+ * from whom (server "stolen" effects, which reach every client). Lines fade
+ * out after a few seconds; yours are highlighted.
+ */
+export function createFeed() {
+  const MAX_LINES = 4;
+  const LINE_MS = 5000;
+  const lines = []; // { text, mine, start }
+
+  function add(msg, myId) {
+    const text = `${msg.name || "?"} rustled a sheep from ${msg.fromName || "?"}`;
+    lines.push({ text, mine: msg.id === myId || msg.from === myId, start: performance.now() });
+    while (lines.length > MAX_LINES) lines.shift();
+  }
+
+  function draw(ctx) {
+    const now = performance.now();
+    while (lines.length && now - lines[0].start > LINE_MS) lines.shift();
+    if (!lines.length) return;
+    ctx.save();
+    ctx.font = "13px system-ui, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    let y = 56;
+    for (const line of lines) {
+      const fade = Math.min(1, (LINE_MS - (now - line.start)) / 600);
+      const w = ctx.measureText(line.text).width + 16;
+      ctx.fillStyle = `rgba(0,0,0,${0.5 * fade})`;
+      ctx.fillRect((ctx.canvas.width - w) / 2, y - 10, w, 20);
+      ctx.fillStyle = line.mine ? `rgba(255,128,110,${fade})` : `rgba(255,255,255,${fade})`;
+      ctx.fillText(line.text, ctx.canvas.width / 2, y);
+      y += 22;
+    }
+    ctx.restore();
+  }
+
+  return { add, draw };
+}
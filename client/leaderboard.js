@@ -0,0 +1,86 @@
+// client/leaderboard.js
+"use strict";
+
+/**
+ * Leaderboard panel drawn on the canvas under the HUD, from the server's
+ * low-rate "leaderboard" message (top 10 + your own line if you are not in
+ * it). Click the header or press L to collapse / expand it.
+ */
+export function createLeaderboard() {
+  const W = 408, ROW = 18, HEAD = 26, PAD = 8;
+  const COLS = [
+    // [label, x offset, value]
+    ["#",     0,   (e) => e.rank],
+    ["Name",  22,  (e) => e.name.length > 12 ? e.name.slice(0, 11) + "…" : e.name],
+    ["Herd",  130, (e) => e.herd],
+    ["Peak",  166, (e) => e.peak],
+    ["Lambs", 202, (e) => e.lambs],
+    ["Meals", 244, (e) => e.meals],
+    ["Lost",  286, (e) => e.lost],
+    ["Died",  322, (e) => e.died],
+  ];
+
+  let board = null;
+  let open = true;
+  let header = null; // last drawn header rect, for clicks
+
+  const fmtAlive = (s) => `${Math.floor(s / 60)}m${String(s % 60).padStart(2, "0")}s`;
+
+  function draw(ctx, { x, y, highlightId }) {
+    ctx.save();
+    ctx.font = "13px system-ui, sans-serif";
+    ctx.textBaseline = "middle";
+    const rows = board ? [...board.top, ...(board.you ? [null, board.you] : [])] : [];
+    const h = HEAD + (open ? ROW * (rows.length + 1) + PAD : 0);
+    header = { x, y, w: W, h: HEAD };
+
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(x, y, W, h);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(`${open ? "▾" : "▸"} Leaderboard${board ? ` (${board.players})` : ""}`, x + PAD, y + HEAD/2);
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.textAlign = "right";
+    ctx.fillText("L", x + W - PAD, y + HEAD/2);
+    ctx.textAlign = "left";
+
+    if (open) {
+      let ry = y + HEAD + ROW/2;
+      ctx.fillStyle = "rgba(255,255,255,0.6)";
+      for (const [label, cx] of COLS) ctx.fillText(label, x + PAD + cx, ry);
+      ctx.textAlign = "right";
+      ctx.fillText("Alive", x + W - PAD, ry);
+      ctx.textAlign = "left";
+      for (const e of rows) {
+        ry += ROW;
+        if (!e) { ctx.fillStyle = "rgba(255,255,255,0.4)"; ctx.fillText("…", x + PAD, ry); continue; }
+        const mine = e.id === highlightId;
+        if (mine) {
+          ctx.fillStyle = "rgba(255,210,122,0.25)";
+          ctx.fillRect(x + 2, ry - ROW/2, W - 4, ROW);
+        }
+        ctx.fillStyle = mine ? "#ffd27a" : "#fff";
+        for (const [, cx, value] of COLS) ctx.fillText(String(value(e)), x + PAD + cx, ry);
+        ctx.textAlign = "right";
+        ctx.fillStyle = "rgba(255,255,255,0.6)";
+        ctx.fillText(fmtAlive(e.aliveS), x + W - PAD, ry);
+        ctx.textAlign = "left";
+      }
+    }
+    ctx.restore();
+  }
+
+  /** True (and toggles) if canvas point (px, py) is on the header. */
+  function click(px, py) {
+    if (!header || px < header.x || px > header.x + header.w || py < header.y || py > header.y + header.h) return false;
+    open = !open;
+    return true;
+  }
+
+  return {
+    update(msg) { board = msg; },
+    draw,
+    click,
+    toggle() { open = !open; },
+    get open() { return open; },
+  };
+}
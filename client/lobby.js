@@ -0,0 +1,74 @@
+// client/lobby.js
+"use strict";
+
+/**
+ * Lobby overlay shown when no ?room= is given: lists public rooms with
+ * player counts (polled over a short-lived socket) and lets you join one or
+ * create a room, optionally private with a join code. Picking a room just
+ * reloads the page with ?room= (and ?code=) so the link can be shared.
+ */
+export function showLobby({ url, error = null }) {
+  const REFRESH_MS = 3000;
+
+  const root = document.createElement("div");
+  root.className = "lobby";
+  root.innerHTML = `
+    <h1>Shepherd</h1>
+    <p class="lobby-error" hidden></p>
+    <ul class="lobby-rooms"><li class="lobby-empty">Looking for rooms…</li></ul>
+    <form class="lobby-form">
+      <input name="room" placeholder="room name" maxlength="24" pattern="[A-Za-z0-9_-]+" required />
+      <input name="code" placeholder="join code (private)" maxlength="32" />
+      <button type="submit">Join / create</button>
+    </form>`;
+  document.body.appendChild(root);
+
+  const list = root.querySelector(".lobby-rooms");
+  const errorEl = root.querySelector(".lobby-error");
+  if (error) { errorEl.textContent = error; errorEl.hidden = false; }
+
+  function go(room, code, spectate = false){
+    const params = new URLSearchParams(location.search);
+    params.set("room", room);
+    if (code) params.set("code", code); else params.delete("code");
+    if (spectate) params.set("spectate", "1"); else params.delete("spectate");
+    location.search = params.toString();
+  }
+
+  function render(rooms){
+    list.innerHTML = "";
+    if (!rooms.length) { list.innerHTML = `<li class="lobby-empty">No public rooms yet — create one below.</li>`; return; }
+    for (const r of rooms) {
+      const li = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = `${r.name} — ${r.players} shepherd${r.players === 1 ? "" : "s"}`;
+      const btn = document.createElement("button");
+      btn.textContent = "Join";
+      btn.onclick = () => go(r.name);
+      const watch = document.createElement("button");
+      watch.textContent = "Watch";
+      watch.onclick = () => go(r.name, null, true);
+      li.append(label, watch, btn);
+      list.appendChild(li);
+    }
+  }
+
+  root.querySelector(".lobby-form").onsubmit = (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    go(String(form.get("room")).trim(), String(form.get("code") || "").trim());
+  };
+
+  const ws = new WebSocket(url.replace(/^http/, "ws"));
+  let timer = null;
+  ws.onopen = () => {
+    ws.send(JSON.stringify({ type:"rooms" }));
+    timer = setInterval(() => ws.send(JSON.stringify({ type:"rooms" })), REFRESH_MS);
+  };
+  ws.onmessage = (ev) => {
+    let msg = null;
+    try { msg = JSON.parse(ev.data); } catch { return; }
+    if (msg && msg.type === "rooms") render(msg.rooms || []);
+  };
+  ws.onclose = () => { clearInterval(timer); };
+}
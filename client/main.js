@@ -3,19 +3,30 @@ import {
   buildMap,
   drawVisibleFX,
   drawMinimap,
+  drawMarket,
   drawBridges,
-  createFoodPatches, // not used now (server owns), but keeping import OK
-  drawFoodPatches,
 } from "./map.js";
 import { createPlayer, drawPlayer } from "./player.js";
 import { createSheepManager } from "./sheep.js";
-import { buildBridges, toBridgeSet } from "./bridges.js";
+import { buildBridges } from "./bridges.js";
 import { createWolvesManager } from "./wolves.js";
 import { createNetWS } from "./net.js";
-
-/* ===== CONFIG ===== */
-const TILE = 20;
-const WORLD = 200;
+import { showLobby } from "./lobby.js";
+import { createReplayNet, showReplayControls } from "./replay.js";
+import { createChatBox, drawSpeechBubble } from "./chat.js";
+import { createLeaderboard } from "./leaderboard.js";
+import { createRoundDisplay } from "./round.js";
+import { createPredictor } from "./prediction.js";
+import { createEffects } from "./effects.js";
+import { createDogsManager } from "./dogs.js";
+import { createFeed } from "./feed.js";
+import { createSheepTooltip } from "./tooltip.js";
+import { MAX_INPUT_DT_MS, ACTION_COOLDOWN_MS, FORMATIONS, DOG_EARN_SHEEP, UPGRADES, UPGRADE_KEYS, atMarket } from "../shared/player.js";
+import { WOLF_STATES, SHEEP_STAGES, SHEEP_COATS } from "../shared/snapshot.js";
+
+/* ===== CONFIG (TILE/WORLD come from the server's world definition) ===== */
+let TILE = 20;
+let WORLD = 200;
 const MINIMAP = { size: 220, pad: 12 };
 
 /* ===== CANVAS ===== */
@@ -25,19 +36,23 @@ ctx.imageSmoothingEnabled = false;
 function resize(){ canvas.width = Math.min(window.innerWidth,1600); canvas.height = Math.min(window.innerHeight,1000); }
 addEventListener("resize", resize); resize();
 
-/* ===== MAP & STATIC ===== */
-const world = buildMap({ TILE, WORLD });
-const bridgeTiles = buildBridges(world);
+/* ===== MAP & STATIC (built once the server's hello arrives) ===== */
+let world = null;
+let worldDef = null; // the hello's definition it was built from (JSON), to spot a different world
+let bridgeTiles = [];
 
 /* ===== INPUT (we still capture keys and send to server) ===== */
 const held = { up:false, down:false, left:false, right:false };
 const keymap = { "ArrowUp":"up","KeyW":"up","ArrowDown":"down","KeyS":"down","ArrowLeft":"left","KeyA":"left","ArrowRight":"right","KeyD":"right" };
-addEventListener("keydown", e => { const k = keymap[e.code]; if (!k) return; held[k]=true; e.preventDefault(); });
+// no walking while the chat box is open (it also stops its own keys), and opening it releases everything
+addEventListener("keydown", e => { const k = keymap[e.code]; if (!k || chat?.typing) return; held[k]=true; e.preventDefault(); });
 addEventListener("keyup",   e => { const k = keymap[e.code]; if (!k) return; held[k]=false; e.preventDefault(); });
 
 /* ===== PLAYER (local display only; server owns positions) ===== */
-const player = createPlayer({ cx: world.cx, edges: world.edges }); // used only for camera + drawing my sprite
+let player = null; // used only for camera + drawing my sprite
 let myId = null;
+let predictor = null; // predicts my own shepherd ahead of the server
+const INPUT_MS = 66;
 
 /* ===== HERDS RENDERERS (one SheepManager per player for drawing only) ===== */
 const herds = new Map(); // id -> SheepManager
@@ -49,25 +64,40 @@ function ensureHerd(id){
   }
 }
 function applyHerdSnapshot(mgr, snap){
-  // snap is [[x,y,full,cd],...]
+  // snap is [[x,y,full,cd,stage,wool, speed,appetite,woolQuality,awareness,coat],...]
+  // (full and wool (fleece grown) in %, stage an index into SHEEP_STAGES, coat into SHEEP_COATS)
   while (mgr.list.length < snap.length) mgr.addSheep(1, player);
   while (mgr.list.length > snap.length) mgr.list.pop();
   for (let i=0;i<snap.length;i++){
     const s = mgr.list[i];
-    const [x,y,full,cd] = snap[i];
+    const [x,y,full,cd,stage,wool, speed,appetite,woolQuality,awareness,coat] = snap[i];
     s.x = x; s.y = y; s.full = full|0; s.cd = cd|0; s.vx = 0; s.vy = 0;
+    s.stage = SHEEP_STAGES[stage] || "adult";
+    s.wool = wool|0;
+    s.traits = speed === undefined ? null : { speed, appetite, wool: woolQuality, awareness, coat: SHEEP_COATS[coat] || "white" };
   }
 }
 
+// ownerless sheep anyone can recruit, drawn faded with a dashed ring
+let strays = null;
+let strayCount = 0;
+let sheepTooltip = null; // hover card with a sheep's traits
+
 /* ===== WOLVES (drawing only) ===== */
-const wolves = createWolvesManager({ TILE, WORLD, ringAt: world.ringAt });
+let wolves = null;
+let effects = null; // bark / gather rings
+const dogs = createDogsManager();
 
-// Adapt server's [[x,y], ...] to manager's [x,y,vx,vy,life] and feed real applySnapshot
+// Adapt server's [[x,y,state], ...] to manager's [x,y,vx,vy,life,state] and feed real applySnapshot
 const WOLF_DEFAULT_LIFE = 8000; // ms; matches LIFE_MS in wolves.js
-wolves.applySnapshotFromServer = function(list){
-  const arr = list.map(([x,y]) => [x, y, 0, 0, WOLF_DEFAULT_LIFE]);
-  this.applySnapshot(arr);
-};
+function createServerWolves(){
+  const mgr = createWolvesManager({ TILE, WORLD, ringAt: world.ringAt });
+  mgr.applySnapshotFromServer = function(list){
+    const arr = list.map(([x,y,state]) => [x, y, 0, 0, WOLF_DEFAULT_LIFE, WOLF_STATES[state]]);
+    this.applySnapshot(arr);
+  };
+  return mgr;
+}
 
 /* ===== NET (WS) ===== */
 const params = new URLSearchParams(location.search);
@@ -75,55 +105,187 @@ const myName = params.get("n") || ("Shep_" + Math.random().toString(36).slice(2,
 // Default to your Railway deployment; ?ws= can still override for testing.
 const SERVER_WS_URL = params.get("ws") || "wss://shepherd-game-production.up.railway.app";
 
-const net = createNetWS({ url: SERVER_WS_URL });
-net.connect(myName);
+// ?room= picks a world (private rooms also need ?code=); without it we show the lobby
+const ROOM = params.get("room");
+const ROOM_CODE = params.get("code");
+// ?replay=<file> plays a recorded match instead of connecting (free camera, no shepherd)
+const REPLAY = params.get("replay");
+// ?spectate=1 joins the room as a spectator (free camera / follow, no shepherd)
+const SPECTATE = !REPLAY && params.has("spectate");
+const FREE_CAM = !!REPLAY || SPECTATE;
+
+const net = REPLAY ? createReplayNet({ url: REPLAY }) : createNetWS({ url: SERVER_WS_URL });
+// the server only sends what is near our viewport (area of interest)
+net.setView(canvas.width, canvas.height);
+if (!SPECTATE) addEventListener("resize", () => net.setView(canvas.width, canvas.height));
+
+// the server is authoritative for the world layout: build it from hello
+net.onHello((msg) => {
+  // a new or resumed session numbers its inputs from 1 again (the server restarts its count)
+  inputSeq = 0;
+  if (predictor) predictor.reset();
+  // the same world again keeps what we built; a different one gets the map rebuilt
+  const def = JSON.stringify(msg.world);
+  if (def === worldDef) return;
+  worldDef = def;
+  world = buildMap(msg.world);
+  TILE = world.TILE; WORLD = world.WORLD;
+  bridgeTiles = buildBridges(world);
+  player = createPlayer({ cx: world.cx, edges: world.edges });
+  wolves = createServerWolves();
+  effects = createEffects({ TILE });
+  strays = createSheepManager({ TILE, WORLD, stray: true });
+  herds.clear();
+  if (!sheepTooltip) sheepTooltip = createSheepTooltip(canvas, { TILE }); // listens on the canvas, so only once
+  predictor = createPredictor({ canWalk: world.canWalk, inputMs: INPUT_MS });
+});
+net.onEffect((msg) => {
+  if (effects) effects.add(msg);
+  if (msg.kind === "stolen") feed.add(msg, myId);
+});
+net.onKicked((reason) => { if (!world && !REPLAY) showLobby({ url: SERVER_WS_URL, error: reason }); });
+if (REPLAY) { net.connect(); showReplayControls(net); }
+else if (ROOM) net.connect(myName, { room: ROOM, code: ROOM_CODE, spectate: SPECTATE });
+else showLobby({ url: SERVER_WS_URL });
+
+/* ===== CHAT (overlay + speech bubbles above shepherds) ===== */
+const BUBBLE_MS = 5000;
+const bubbles = new Map(); // player id -> { text, until }
+const chat = REPLAY ? null : createChatBox({
+  net,
+  canSend: !SPECTATE,
+  onOpen: () => { for (const k in held) held[k] = false; }
+});
+net.onChat((msg) => {
+  chat.add(msg);
+  if (msg.type === "chat") bubbles.set(msg.id, { text: msg.text, until: performance.now() + BUBBLE_MS });
+});
+
+/* ===== LEADERBOARD (top 10 from the server every couple of seconds) ===== */
+const leaderboard = createLeaderboard();
+net.onLeaderboard((msg) => leaderboard.update(msg));
+addEventListener("keydown", (e) => { if (e.code === "KeyL" && !(e.target instanceof HTMLInputElement)) leaderboard.toggle(); });
+canvas.addEventListener("click", (e) => {
+  const r = canvas.getBoundingClientRect();
+  leaderboard.click((e.clientX - r.left) * canvas.width / r.width, (e.clientY - r.top) * canvas.height / r.height);
+});
+
+/* ===== RUSTLING FEED (server RUSTLING=1) ===== */
+const feed = createFeed();
+
+/* ===== ROUNDS (countdown + results; only when the server runs round mode) ===== */
+const roundDisplay = createRoundDisplay();
+net.onRound((msg) => roundDisplay.update(msg));
 
 /* ===== SNAPSHOT STATE FROM SERVER ===== */
 let netPlayers = new Map();       // <-- missing in your file; needed!
 let playerHistory = new Map();    // id -> [{t,x,y}, ...] sorted by t asc
 const INTERP_DELAY_MS = 120;      // render ~120ms behind server time
 let foodPatches = new Set();
+let onlineCount = 0;              // everyone on the server, not just who is in view
+let serverClockOffset = 0;        // snapshot ts minus our clock, so interpolation runs in server time
+let roster = [];                  // [{id,name,sheep}] every shepherd in the room (free camera follow list)
+net.onRoster((list) => { roster = list; });
 
 net.onSnapshot((snap) => {
   // players
   const nextPlayers = new Map();
-  for (const p of snap.players) {
-    nextPlayers.set(p.id, p);
-    ensureHerd(p.id);
-  }
+  for (const p of snap.players) nextPlayers.set(p.id, p);
   netPlayers = nextPlayers;                                     // :contentReference[oaicite:0]{index=0}
 
   // record positions into history for interpolation
   const ts = typeof snap.ts === "number" ? snap.ts : performance.now();
+  serverClockOffset = ts - performance.now();
   for (const p of snap.players) {
     if (!playerHistory.has(p.id)) playerHistory.set(p.id, []);
     const hist = playerHistory.get(p.id);
+    if (hist.length && hist[hist.length - 1].t > ts) hist.length = 0; // time went backwards (replay seek)
     hist.push({ t: ts, x: p.x, y: p.y });
     if (hist.length > 24) hist.splice(0, hist.length - 24);     // keep last ~24 samples
   }
+  // players that left our area of interest: forget their history
+  for (const id of playerHistory.keys()) if (!nextPlayers.has(id)) playerHistory.delete(id);
 
-  // my id from hello
-  if (!myId && net.myId) myId = net.myId;
+  // my id from hello (can change when a reconnect resumes our old session)
+  if (net.myId) myId = net.myId;
 
-  // herds
+  // correct my predicted shepherd against the authoritative position
+  const me = myId && nextPlayers.get(myId);
+  if (me && predictor) predictor.reconcile(me, snap.lastInput || 0);
+
+  // herds (ones that left our area of interest are dropped)
   for (const pid in snap.herds) {
     ensureHerd(pid);
     applyHerdSnapshot(herds.get(pid), snap.herds[pid]);
   }
+  for (const pid of herds.keys()) if (!(pid in snap.herds)) herds.delete(pid);
+  if (strays) applyHerdSnapshot(strays, snap.strays || []);
+  strayCount = snap.strayCount ?? 0;
+  if (snap.inventory) inventory = snap.inventory;
+  onlineCount = snap.online ?? netPlayers.size;
 
   // wolves
-  if (Array.isArray(snap.wolves)) wolves.applySnapshotFromServer(snap.wolves);
+  if (wolves && Array.isArray(snap.wolves)) wolves.applySnapshotFromServer(snap.wolves);
+  dogs.applySnapshot(snap.dogs || []);
 
   // patches
   foodPatches = new Set(snap.patches);
 
+  // a replay has the whole world, so its follow list comes straight from the snapshot
+  if (REPLAY) roster = snap.players.map(p => ({ id: p.id, name: p.name, sheep: (snap.herds[p.id] || []).length }));
+
   // (camera will use interpolated pos each frame instead)
 });
 
-/* Send inputs at ~15 fps */
+/* ===== ACTIONS (Space: bark at wolves, G: gather the herd) ===== */
+const ACTION_KEYS = { Space: "bark", KeyG: "gather", KeyE: "shear" };
+const actionReadyAt = { bark: 0, gather: 0, shear: 0 }; // our estimate of the server's cooldowns (performance.now())
+let pendingAction = null;                     // rides on the next input
+if (!FREE_CAM) addEventListener("keydown", (e) => {
+  const action = ACTION_KEYS[e.code];
+  if (!action || e.repeat || e.target instanceof HTMLInputElement) return;
+  e.preventDefault();
+  const now = performance.now();
+  if (now < actionReadyAt[action]) return;
+  actionReadyAt[action] = now + ACTION_COOLDOWN_MS[action];
+  pendingAction = action;
+});
+
+/* ===== TRADING POST (wool sells on arrival; 4/5/6 buy upgrades there) ===== */
+let inventory = { wool: 0, coins: 0, upgrades: {} }; // authoritative, from my snapshots
+const BUY_KEYS = { Digit4: UPGRADE_KEYS[0], Digit5: UPGRADE_KEYS[1], Digit6: UPGRADE_KEYS[2] };
+const nearMarket = () => !!player && atMarket(player, world.market);
+if (!FREE_CAM) addEventListener("keydown", (e) => {
+  if (e.repeat || e.target instanceof HTMLInputElement || !BUY_KEYS[e.code]) return;
+  if (nearMarket()) net.buy(BUY_KEYS[e.code]);
+});
+
+/* ===== HERD COMMANDS (1 follow, 2 stay, 3 graze, F cycles tight/normal/loose) ===== */
+const HERD_KEYS = { Digit1: "follow", Digit2: "stay", Digit3: "graze" };
+if (!FREE_CAM) addEventListener("keydown", (e) => {
+  if (e.repeat || e.target instanceof HTMLInputElement) return;
+  if (HERD_KEYS[e.code]) net.setHerd({ mode: HERD_KEYS[e.code] });
+  else if (e.code === "KeyF") {
+    const now = netPlayers.get(myId)?.formation || "normal";
+    net.setHerd({ formation: FORMATIONS[(FORMATIONS.indexOf(now) + 1) % FORMATIONS.length] });
+  }
+});
+
+/* Send inputs at ~15 fps: each carries a seq + the time it covers, and is predicted locally */
+let inputSeq = 0;
+let lastInputAt = performance.now();
 setInterval(() => {
-  net.sendInput(held);
-}, 66);
+  if (REPLAY) return;
+  const now = performance.now();
+  // nothing to send or predict while the connection is down
+  if (!net.connected) { lastInputAt = now; return; }
+  const dt = Math.round(Math.min(MAX_INPUT_DT_MS, now - lastInputAt));
+  lastInputAt = now;
+  const input = { seq: ++inputSeq, held: { ...held }, dt };
+  if (pendingAction) { input.action = pendingAction; pendingAction = null; }
+  if (predictor) predictor.applyInput(input, now);
+  net.sendInput(input);
+}, INPUT_MS);
 
 /* ===== Interpolation helpers ===== */
 function getInterpolatedPos(id, renderTimeMs) {
@@ -140,8 +302,61 @@ function getInterpolatedPos(id, renderTimeMs) {
 }
 
 /* ===== CAMERA ===== */
+// replays and spectators have no shepherd: WASD/arrows or dragging pan, the
+// wheel or +/- zoom, Tab follows the next shepherd by name and Esc lets go
+const FREE_CAM_TPS = 30;
+const ZOOM_MIN = 0.5, ZOOM_MAX = 2;
+let zoom = 1;
+let followId = null;
+
+function setFollow(id){
+  followId = id;
+  net.followPlayer(id);
+}
+function followNext(){
+  if (!roster.length) return;
+  const sorted = [...roster].sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+  const at = sorted.findIndex(p => p.id === followId);
+  setFollow(sorted[(at + 1) % sorted.length].id);
+}
+function setZoom(z){ zoom = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, z)); }
+
+function moveFreeCamera(dtS){
+  const dx = (held.right?1:0) - (held.left?1:0), dy = (held.down?1:0) - (held.up?1:0);
+  if ((dx || dy) && followId) setFollow(null);
+  player.x = Math.max(0, Math.min(WORLD, player.x + dx*FREE_CAM_TPS/zoom*dtS));
+  player.y = Math.max(0, Math.min(WORLD, player.y + dy*FREE_CAM_TPS/zoom*dtS));
+}
+if (FREE_CAM) {
+  let drag = null;
+  canvas.addEventListener("pointerdown", (e) => { if (player) drag = { x: e.clientX, y: e.clientY }; });
+  addEventListener("pointerup", () => { drag = null; });
+  addEventListener("pointermove", (e) => {
+    if (!drag) return;
+    if (followId) setFollow(null);
+    const scale = canvas.width / canvas.getBoundingClientRect().width / zoom;
+    player.x = Math.max(0, Math.min(WORLD, player.x - (e.clientX - drag.x)*scale/TILE));
+    player.y = Math.max(0, Math.min(WORLD, player.y - (e.clientY - drag.y)*scale/TILE));
+    drag = { x: e.clientX, y: e.clientY };
+  });
+  canvas.addEventListener("wheel", (e) => { e.preventDefault(); setZoom(zoom * (e.deltaY < 0 ? 1.1 : 1/1.1)); }, { passive: false });
+  addEventListener("keydown", (e) => {
+    if (e.target instanceof HTMLInputElement) return;
+    if (e.code === "Tab") { e.preventDefault(); followNext(); }
+    else if (e.code === "Escape") setFollow(null);
+    else if (e.code === "Equal" || e.code === "NumpadAdd") setZoom(zoom * 1.25);
+    else if (e.code === "Minus" || e.code === "NumpadSubtract") setZoom(zoom / 1.25);
+  });
+}
+// spectators tell the server where they look so it can send that area
+if (SPECTATE) {
+  setInterval(() => {
+    if (player) net.setView(canvas.width/zoom, canvas.height/zoom, player.x*TILE + TILE/2, player.y*TILE + TILE/2);
+  }, 250);
+}
+
 function cameraRect(){
-  const vw = canvas.width, vh = canvas.height;
+  const vw = canvas.width / zoom, vh = canvas.height / zoom;
   let camX = player.x*TILE + TILE/2 - vw/2;
   let camY = player.y*TILE + TILE/2 - vh/2;
   camX = Math.max(0, Math.min(camX, world.worldPx - vw));
@@ -152,7 +367,13 @@ function cameraRect(){
 /* ===== HUD ===== */
 function drawHUD(){
   const mineCount = (myId && herds.get(myId)) ? herds.get(myId).count : 0;
-  const text = `Sheep: ${mineCount} • Players: ${netPlayers.size}`;
+  let text = `Sheep: ${mineCount} • Players: ${onlineCount}`;
+  if (FREE_CAM) {
+    const followed = followId && roster.find(p => p.id === followId);
+    const sheep = followed ? (herds.get(followId)?.count ?? followed.sheep) : 0;
+    const who = followed ? `Following ${followed.name} • Sheep: ${sheep}` : (REPLAY ? `Replay: ${net.room || "…"}` : "Spectating");
+    text = `${who} • Players: ${onlineCount}`;
+  }
   ctx.save();
   ctx.font = "14px system-ui, sans-serif";
   const w = ctx.measureText(text).width + 16;
@@ -160,7 +381,48 @@ function drawHUD(){
   ctx.fillRect(ctx.canvas.width - w - 12, 10, w, 28);
   ctx.fillStyle = "#fff";
   ctx.fillText(text, ctx.canvas.width - w - 4, 28);
+
+  if (!net.connected) {
+    const msg = net.kicked ? net.closeReason : "Reconnecting…";
+    const mw = ctx.measureText(msg).width + 16;
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(ctx.canvas.width - mw - 12, 44, mw, 28);
+    ctx.fillStyle = "#ffd27a";
+    ctx.fillText(msg, ctx.canvas.width - mw - 4, 62);
+  }
+  if (FREE_CAM) {
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.fillText("Tab: follow next • Esc: free camera • Wheel/± : zoom", 12, 24);
+  } else {
+    const now = performance.now();
+    const state = (a) => now >= actionReadyAt[a] ? "ready" : `${Math.ceil((actionReadyAt[a] - now) / 1000)}s`;
+    const actions = `Space: bark (${state("bark")}) • G: gather (${state("gather")}) • E: shear (${state("shear")})`;
+    const me = netPlayers.get(myId);
+    const herd = me ? `Herd: ${me.mode} • ${me.formation}  (1 follow • 2 stay • 3 graze • F formation)` : "";
+    const dog = dogs.has(myId) ? "Sheepdog: with you" : `Sheepdog: earned at ${DOG_EARN_SHEEP} sheep (${Math.max(0, DOG_EARN_SHEEP - mineCount)} to go)`;
+    const level = (k) => inventory.upgrades[k] || 0;
+    const inv = `Wool: ${inventory.wool} • Coins: ${inventory.coins} • ` +
+      UPGRADE_KEYS.map(k => `${UPGRADES[k].label} ${level(k)}/${UPGRADES[k].costs.length}`).join(" • ");
+    const lines = [[actions, "#fff"], [herd, "#ffd27a"], [dog, "rgba(255,255,255,0.8)"], [inv, "#c8e6a0"]];
+    if (nearMarket()) {
+      const offers = UPGRADE_KEYS.map((k, i) => {
+        const cost = UPGRADES[k].costs[level(k)];
+        return `${i + 4}: ${UPGRADES[k].label} (${cost === undefined ? "maxed" : `${cost}c`})`;
+      });
+      lines.push([`Trading post: ${offers.join(" • ")}`, "#ffd27a"]);
+    }
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(12, 10, Math.max(...lines.map(([t]) => ctx.measureText(t).width)) + 16, 22 * lines.length + 6);
+    lines.forEach(([t, color], i) => {
+      ctx.fillStyle = color;
+      ctx.fillText(t, 20, 28 + 22 * i);
+    });
+  }
   ctx.restore();
+
+  if (!REPLAY) leaderboard.draw(ctx, { x: ctx.canvas.width - 420, y: 80, highlightId: myId || followId });
+  feed.draw(ctx);
+  roundDisplay.draw(ctx, myId || followId);
 }
 
 /* ===== LOOP (render only) ===== */
@@ -181,42 +443,65 @@ function drawFoodPatchesFromSet(ctx, cam, TILE, set){
   ctx.restore();
 }
 
+let lastFrame = performance.now();
 function loop(now){
-  // pick a render time slightly behind the latest server tick for smooth lerp
-  const renderTime = performance.now() - INTERP_DELAY_MS;
+  const frameDt = Math.min(0.1, (now - lastFrame) / 1000);
+  lastFrame = now;
+  if (!world) { requestAnimationFrame(loop); return; } // waiting for hello
 
-  // smooth-follow the camera using my interpolated position
-  if (myId && netPlayers.has(myId)) {
-    const meInterp = getInterpolatedPos(myId, renderTime);
-    if (meInterp) { player.x = meInterp.x; player.y = meInterp.y; }
+  // pick a render time slightly behind the latest server tick for smooth lerp
+  const renderTime = performance.now() + serverClockOffset - INTERP_DELAY_MS;
+
+  // camera follows my predicted position (interpolated until prediction is seeded)
+  if (FREE_CAM) {
+    const followed = followId && netPlayers.has(followId) && getInterpolatedPos(followId, renderTime);
+    if (followed) { player.x = followed.x; player.y = followed.y; }
+    else moveFreeCamera(frameDt);
+  } else if (myId && netPlayers.has(myId)) {
+    const me = predictor && predictor.ready ? predictor.renderPos(performance.now()) : getInterpolatedPos(myId, renderTime);
+    if (me) { player.x = me.x; player.y = me.y; }
   }
 
   const cam = cameraRect();
 
-  // world + FX
-  ctx.drawImage(world.mapLayer, cam.x, cam.y, cam.w, cam.h, 0, 0, canvas.width, canvas.height);
+  // world + FX (scaled when a free camera zooms)
+  ctx.save();
+  ctx.scale(zoom, zoom);
+  ctx.drawImage(world.mapLayer, cam.x, cam.y, cam.w, cam.h, 0, 0, cam.w, cam.h);
   drawVisibleFX(ctx, cam, now, { TILE, WORLD, ringAt: world.ringAt });     // :contentReference[oaicite:1]{index=1}
 
   // bridges + patches from server
   drawBridges(ctx, cam, TILE, bridgeTiles);
   drawFoodPatchesFromSet(ctx, cam, TILE, foodPatches);
+  drawMarket(ctx, cam, TILE, world.market);
 
   // wolves
   wolves.draw(ctx, cam, TILE);
+  effects.draw(ctx, cam);
 
-  // render herds (others first)
+  // render strays, then herds (others first)
+  strays.draw(ctx, cam);
   for (const [pid, mgr] of herds) { if (pid !== myId) mgr.draw(ctx, cam); }
   if (myId && herds.get(myId)) herds.get(myId).draw(ctx, cam);
+  dogs.draw(ctx, cam, TILE);
 
-  // players (draw everyone at interpolated positions)
+  // players (others at interpolated positions, me at my predicted one)
   for (const [, p] of netPlayers) {
-    const interp = getInterpolatedPos(p.id, renderTime) || p;
+    const interp = p.id === myId ? player : (getInterpolatedPos(p.id, renderTime) || p);
     drawPlayer(ctx, { x: interp.x, y: interp.y }, TILE, cam);
+    const bubble = bubbles.get(p.id);
+    if (bubble) {
+      const left = bubble.until - performance.now();
+      if (left <= 0) bubbles.delete(p.id);
+      else drawSpeechBubble(ctx, interp.x*TILE + TILE/2 - cam.x, interp.y*TILE - cam.y - 4, bubble.text, Math.min(1, left / 500));
+    }
   }
+  ctx.restore();
 
   // UI
-  drawMinimap(ctx, world.mapLayer, cam, player, { TILE, WORLD, worldPx: world.worldPx, MINIMAP });
+  drawMinimap(ctx, world.mapLayer, cam, player, { TILE, WORLD, worldPx: world.worldPx, MINIMAP, strays: { list: strays.list, total: strayCount }, market: world.market });
   drawHUD();
+  sheepTooltip.draw(ctx, cam, zoom, [strays.list, ...[...herds.values()].map(mgr => mgr.list)]);
 
   requestAnimationFrame(loop);
 }
@@ -1,42 +1,14 @@
 // client/map.js
 "use strict";
+import { buildWorld } from "../shared/world.js";
 
-/** Build the world, prerendered map layer, and helpers. */
-export function buildMap({ TILE, WORLD }) {
-  const cx = Math.floor(WORLD / 2);
-  const cy = Math.floor(WORLD / 2);
-  const maxR = Math.min(cx, cy) - 1;
-
-  // auto-fit ring widths
-  let rPasture = Math.floor(maxR * 0.45);
-  let rWater   = Math.floor(maxR * 0.17);
-  let rGlen    = Math.floor(maxR * 0.25);
-  let rDark    = Math.max(2, maxR - (rPasture + rWater + rGlen));
-  while (rPasture + rWater + rGlen + rDark > maxR) {
-    if (rPasture > 8) rPasture--;
-    else if (rGlen > 6) rGlen--;
-    else if (rWater > 4) rWater--;
-    else { rDark = Math.max(2, rDark - 1); break; }
-  }
-  const edges = {
-    pasture: maxR,
-    water:   maxR - rPasture,
-    glen:    maxR - rPasture - rWater,
-    dark:    maxR - rPasture - rWater - rGlen
-  };
-
-  /* ---------- helpers ---------- */
-  function radial(x, y) {
-    const dx = x - cx + 0.5, dy = y - cy + 0.5;
-    return Math.sqrt(dx*dx + dy*dy);
-  }
-  function ringAt(x, y) {
-    const r = radial(x, y);
-    if (r > edges.water) return "pasture";
-    if (r > edges.glen)  return "water";
-    if (r > edges.dark)  return "glen";
-    return "dark";
-  }
+/**
+ * Build the world helpers and prerendered map layer from the world
+ * definition the server sent in `hello` (see shared/world.js).
+ */
+export function buildMap(def) {
+  const world = buildWorld(def);
+  const { TILE, WORLD, edges, radial, ringAt } = world;
 
   // Palette
   const COLORS = {
@@ -142,13 +114,12 @@ export function buildMap({ TILE, WORLD }) {
     }
   }
 
-  /* ---------- darker, less‑welcoming center ---------- */
-  const centerRadius = Math.max(0, (edges.dark+1) * TILE);
-  if (centerRadius > 0) {
-    mctx.fillStyle = "rgba(0,0,0,0.16)";
-    mctx.beginPath();
-    mctx.arc(cx*TILE, cy*TILE, centerRadius, 0, Math.PI*2);
-    mctx.fill();
+  /* ---------- darker, less‑welcoming center (follows the noisy dark edge) ---------- */
+  mctx.fillStyle = "rgba(0,0,0,0.16)";
+  for (let y = 0; y < WORLD; y++) {
+    for (let x = 0; x < WORLD; x++) {
+      if (ringAt(x, y) === "dark") mctx.fillRect(x*TILE, y*TILE, TILE, TILE);
+    }
   }
 
   /* ---------- grid overlay ---------- */
@@ -161,7 +132,7 @@ export function buildMap({ TILE, WORLD }) {
     mctx.beginPath(); mctx.moveTo(x*TILE + 0.5, 0); mctx.lineTo(x*TILE + 0.5, worldPx); mctx.stroke();
   }
 
-  return { cx, cy, edges, radial, ringAt, mapLayer, worldPx };
+  return { ...world, mapLayer, worldPx };
 }
 
 /** Extra ambient FX drawn over the visible area only (wavy pasture bands). */
@@ -268,7 +239,7 @@ export function drawVisibleFX(ctx, cam, now, { TILE, WORLD, ringAt }) {
 }
 
 /** Minimap renderer. */
-export function drawMinimap(ctx, mapLayer, cam, player, { TILE, WORLD, worldPx, MINIMAP }) {
+export function drawMinimap(ctx, mapLayer, cam, player, { TILE, WORLD, worldPx, MINIMAP, strays = null, market = null }) {
   const { size, pad } = MINIMAP;
   const mmW = size, mmH = size;
   const mmX = ctx.canvas.width - mmW - pad;
@@ -279,6 +250,26 @@ export function drawMinimap(ctx, mapLayer, cam, player, { TILE, WORLD, worldPx,
 
   ctx.drawImage(mapLayer, 0, 0, worldPx, worldPx, mmX, mmY, mmW, mmH);
 
+  // trading post
+  if (market) {
+    ctx.fillStyle = "#ffd27a";
+    ctx.fillRect(mmX + (market.x + 0.5) * TILE / worldPx * mmW - 3, mmY + (market.y + 0.5) * TILE / worldPx * mmH - 3, 6, 6);
+  }
+
+  // strays: dots for the ones in view, and how many there are in all
+  if (strays) {
+    ctx.save();
+    ctx.fillStyle = "#ffe28c";
+    for (const s of strays.list) ctx.fillRect(mmX + s.x / worldPx * mmW - 1, mmY + s.y / worldPx * mmH - 1, 2, 2);
+    if (strays.total) {
+      ctx.font = "11px system-ui, sans-serif";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+      ctx.fillText(`Strays: ${strays.total}`, mmX + 4, mmY + 4);
+    }
+    ctx.restore();
+  }
+
   const px = mmX + (player.x*TILE + TILE/2) / worldPx * mmW;
   const py = mmY + (player.y*TILE + TILE/2) / worldPx * mmH;
   ctx.fillStyle = "#ffffff";
@@ -305,6 +296,22 @@ export function drawBridges(ctx, cam, TILE, bridges) {
   }
 }
 
+/** Trading post: a little market stall with a striped awning on its tile. */
+export function drawMarket(ctx, cam, TILE, market) {
+  if (!market) return;
+  const sx = market.x * TILE - cam.x, sy = market.y * TILE - cam.y;
+  ctx.save();
+  ctx.fillStyle = "#8a5a32";                       // counter
+  ctx.fillRect(sx + 2, sy + TILE * 0.45, TILE - 4, TILE * 0.5);
+  for (let i = 0; i < 4; i++) {                    // awning
+    ctx.fillStyle = i % 2 ? "#f4efe4" : "#c8413a";
+    ctx.fillRect(sx + i * TILE / 4, sy + 1, TILE / 4, TILE * 0.4);
+  }
+  ctx.fillStyle = "#ffd27a";                       // coin
+  ctx.beginPath(); ctx.arc(sx + TILE / 2, sy + TILE * 0.7, TILE * 0.14, 0, Math.PI * 2); ctx.fill();
+  ctx.restore();
+}
+
 /* ================== FOOD PATCHES ================== */
 export function createFoodPatches(world, count) {
   const { WORLD, ringAt } = world;
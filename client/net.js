@@ -1,28 +1,116 @@
 // client/net.js
 "use strict";
+import { SNAPSHOT_VERSION, createSnapshotDecoder } from "../shared/snapshot.js";
 
+/**
+ * WebSocket link to the server. Reconnects with exponential backoff and
+ * presents the resume token from hello, so a dropped connection gets the
+ * same shepherd, name and flock back. The token is kept in localStorage so
+ * a returning player (even after a server restart) reclaims their herd.
+ */
 export function createNetWS({ url }) {
+  /* ===== Tunables ===== */
+  const RECONNECT_BASE_MS = 500;
+  const RECONNECT_MAX_MS  = 15000;
+  const TOKEN_KEY = "shepherd.token";
+  const CLOSE_TAKEN_OVER = 4001; // server: this session was resumed in another tab
+  const CLOSE_BAD_CODE   = 4003; // server: private room, wrong join code
+
   let ws = null;
   let onSnapshot = () => {};
+  let onHello = () => {};
+  let onKicked = () => {};
+  let onRoster = () => {};
+  let onChat = () => {};
+  let onLeaderboard = () => {};
+  let onRound = () => {};
+  let onEffect = () => {};
   let myId = null;
+  let decoder = null;
+  let view = null; // {w,h[,x,y]} viewport in px; the server filters snapshots to it
+  let token = null; // resume token from hello (one per room)
+  let name = null;
+  let room = null, code = null;
+  let spectate = false;  // watch only: no shepherd, so nothing to resume
+  let follow = null;     // spectator: shepherd id the server centres our view on
+  const ignored = new Set(); // player ids whose chat the server should not send us
+  let attempts = 0; // consecutive failed (re)connects
+  let connected = false;
+  let kicked = false;   // taken over elsewhere / refused: stop reconnecting
+  let closeReason = null;
+
+  const tokenKey = () => `${TOKEN_KEY}.${room || "main"}`;
+  function readToken(){ try { return localStorage.getItem(tokenKey()); } catch { return null; } }
+  function storeToken(t){ try { localStorage.setItem(tokenKey(), t); } catch {} }
 
-  function connect(name){
+  /** Join `opts.room` (private rooms need `opts.code`); `opts.spectate` joins as a spectator. */
+  function connect(joinName, opts = {}){
+    name = joinName;
+    room = opts.room || null;
+    code = opts.code || null;
+    spectate = !!opts.spectate;
+    token = spectate ? null : readToken();
+    open();
+  }
+
+  function open(){
     ws = new WebSocket(url.replace(/^http/, "ws")); // support http(s) -> ws(s)
+    ws.binaryType = "arraybuffer";
+    decoder = createSnapshotDecoder();
     ws.onopen = () => {
-      if (name) send({ type:"join", name });
+      // proto opts into binary delta snapshots (see shared/snapshot.js); resume reclaims our shepherd
+      send({ type:"join", name, room: room || undefined, code: code || undefined, proto: SNAPSHOT_VERSION,
+            resume: token || undefined, spectate: spectate || undefined });
+      if (view) send({ type:"view", ...view });
+      if (follow) send({ type:"follow", id: follow });
+      for (const id of ignored) send({ type:"ignore", id, on: true });
     };
     ws.onmessage = (ev) => {
+      if (ev.data instanceof ArrayBuffer) {
+        const out = decoder.decode(ev.data);
+        // ack what we decoded; ack 0 asks for a keyframe if we lost the baseline
+        send({ type:"ack", seq: out ? out.seq : 0 });
+        if (out) onSnapshot(out.snapshot);
+        return;
+      }
+
       let msg = null;
       try { msg = JSON.parse(ev.data); } catch { return; }
       if (!msg) return;
 
       if (msg.type === "hello") {
+        connected = true; // joined: inputs from here on count against this session
         myId = msg.id;
+        token = msg.token || token;
+        if (token) storeToken(token);
+        attempts = 0;
+        onHello(msg);
       } else if (msg.type === "snapshot") {
         onSnapshot(msg);
+      } else if (msg.type === "roster") {
+        onRoster(msg.players || []);
+      } else if (msg.type === "round") {
+        onRound(msg);
+      } else if (msg.type === "leaderboard") {
+        onLeaderboard(msg);
+      } else if (msg.type === "chat" || msg.type === "chat-error") {
+        onChat(msg);
+      } else if (msg.type === "effect") {
+        onEffect(msg);
+      }
+    };
+    ws.onclose = (ev) => {
+      connected = false;
+      if (ev.code === CLOSE_TAKEN_OVER || ev.code === CLOSE_BAD_CODE) {
+        kicked = true;
+        closeReason = ev.code === CLOSE_BAD_CODE ? "Wrong join code for that room" : "Playing in another tab";
+        onKicked(closeReason);
+        return;
       }
+      const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts) * (0.75 + Math.random()*0.5);
+      attempts++;
+      setTimeout(open, delay);
     };
-    ws.onclose = () => { /* optionally reconnect */ };
   }
 
   function send(obj){
@@ -31,14 +119,64 @@ export function createNetWS({ url }) {
     }
   }
 
-  function sendInput(held){
-    send({ type:"input", held });
+  /** input = { seq, held, dt, action? } — dt is the ms of movement it covers. */
+  function sendInput(input){
+    send({ type:"input", ...input });
+  }
+
+  /** Viewport size in px; spectators also pass the world-px point they look at. */
+  function setView(w, h, x, y){
+    view = Number.isFinite(x) ? { w, h, x, y } : { w, h };
+    send({ type:"view", ...view });
+  }
+
+  /** Spectators: keep the view on shepherd `id` (null = free camera). */
+  function followPlayer(id){
+    follow = id || null;
+    send({ type:"follow", id: follow });
+  }
+
+  /** Herd command: { mode } and/or { formation } (see shared/player.js). */
+  function setHerd(cmd){
+    send({ type:"herd", ...cmd });
+  }
+
+  /** Buy the next level of an upgrade (shared/player.js UPGRADES) at the trading post. */
+  function buy(item){
+    send({ type:"buy", item });
+  }
+
+  function sendChat(text){
+    send({ type:"chat", text });
+  }
+
+  /** Stop (or resume) receiving chat from player `id`. */
+  function setIgnored(id, on){
+    if (on) ignored.add(id); else ignored.delete(id);
+    send({ type:"ignore", id, on });
   }
 
   return {
     connect,
     sendInput,
+    setHerd,
+    buy,
+    sendChat,
+    setIgnored,
+    isIgnored: (id) => ignored.has(id),
+    setView,
+    followPlayer,
     onSnapshot: (cb) => { onSnapshot = cb; },
-    get myId(){ return myId; }
+    onHello: (cb) => { onHello = cb; },
+    onKicked: (cb) => { onKicked = cb; },
+    onRoster: (cb) => { onRoster = cb; },
+    onChat: (cb) => { onChat = cb; },
+    onLeaderboard: (cb) => { onLeaderboard = cb; },
+    onRound: (cb) => { onRound = cb; },
+    onEffect: (cb) => { onEffect = cb; },
+    get myId(){ return myId; },
+    get connected(){ return connected; },
+    get kicked(){ return kicked; },
+    get closeReason(){ return closeReason; }
   };
 }
@@ -7,41 +7,9 @@ export function createPlayer({ cx, edges }) {
   return {
     x: cx,
     y: edges.pasture - 4,
-    moveCooldown: 0,
-    lastDir: "down",  // "up" | "down" | "left" | "right"
   };
 }
 
-/** Blocked by water unless on a bridge. */
-function canWalk(nx, ny, WORLD, ringAt, bridgeSet){
-  if (nx < 0 || ny < 0 || nx >= WORLD || ny >= WORLD) return false;
-  const ring = ringAt(nx, ny);
-  if (ring === "water") {
-    // allow only if tile is a bridge
-    return bridgeSet.has(`${nx},${ny}`);
-  }
-  return true;
-}
-
-/** Try a single tile step from held keys. */
-export function tryMove(player, held, { WORLD, ringAt, bridgeSet }){
-  const dir =
-      held.up    ? [0, -1, "up"]   :
-      held.down  ? [0,  1, "down"] :
-      held.left  ? [-1, 0, "left"] :
-      held.right ? [1,  0, "right"]: null;
-
-  if (!dir) return false;
-
-  const nx = player.x + dir[0];
-  const ny = player.y + dir[1];
-  if (!canWalk(nx, ny, WORLD, ringAt, bridgeSet)) return false;
-
-  player.x = nx; player.y = ny;
-  player.lastDir = dir[2];
-  return true;
-}
-
 /** Draw the player (sprite w/ fallback). */
 export function drawPlayer(ctx, player, TILE, cam){
   const sx = player.x * TILE - cam.x + TILE/2;
@@ -0,0 +1,70 @@
+// client/prediction.js
+"use strict";
+import { movePlayer } from "../shared/player.js";
+
+/**
+ * Client-side prediction for our own shepherd.
+ *
+ * Every input we send is applied locally right away with the same
+ * movePlayer() the server uses, and kept until the server echoes its seq
+ * (snapshot.lastInput). On each snapshot we restart from the server
+ * position, replay the inputs it hasn't processed yet, and fold the jump
+ * into a visual correction offset that decays, so drift is fixed smoothly.
+ */
+export function createPredictor({ canWalk, inputMs }) {
+  /* ===== Tunables ===== */
+  const CORRECTION_RATE_S = 10;  // how fast the visual error decays
+  const SNAP_DIST_TILES   = 3;   // beyond this, just teleport (respawn etc.)
+
+  let ready = false;
+  const cur  = { x: 0, y: 0 };   // predicted position after the last input
+  const prev = { x: 0, y: 0 };   // position before it (for smooth render)
+  const err  = { x: 0, y: 0 };   // visual correction offset
+  let lastInputAt = 0;
+  let lastFrameAt = 0;
+  let pending = [];              // inputs the server hasn't acknowledged
+
+  function applyInput(input, now){
+    if (!ready) return;
+    pending.push(input);
+    prev.x = cur.x; prev.y = cur.y;
+    movePlayer(cur, input.held, input.dt/1000, canWalk);
+    lastInputAt = now;
+  }
+
+  function reconcile(server, lastInput){
+    pending = pending.filter(i => i.seq > lastInput);
+    if (!ready) {
+      ready = true;
+      cur.x = prev.x = server.x; cur.y = prev.y = server.y;
+      return;
+    }
+    const beforeX = cur.x, beforeY = cur.y;
+    cur.x = server.x; cur.y = server.y;
+    for (const i of pending) movePlayer(cur, i.held, i.dt/1000, canWalk);
+
+    const dx = beforeX - cur.x, dy = beforeY - cur.y;
+    if (Math.hypot(dx, dy) > SNAP_DIST_TILES) { err.x = err.y = 0; prev.x = cur.x; prev.y = cur.y; return; }
+    err.x += dx; err.y += dy;
+    prev.x -= dx; prev.y -= dy; // keep the in-between step consistent with the new path
+  }
+
+  /** Position to draw at `now` (tiles). */
+  function renderPos(now){
+    const dt = Math.max(0, (now - lastFrameAt) / 1000);
+    lastFrameAt = now;
+    const k = Math.exp(-CORRECTION_RATE_S * dt);
+    err.x *= k; err.y *= k;
+    const t = Math.min(1, (now - lastInputAt) / inputMs);
+    return { x: prev.x + (cur.x - prev.x) * t + err.x, y: prev.y + (cur.y - prev.y) * t + err.y };
+  }
+
+  /** Forget everything (a new or resumed session): the next snapshot places us afresh. */
+  function reset(){
+    ready = false;
+    pending = [];
+    err.x = err.y = 0;
+  }
+
+  return { applyInput, reconcile, renderPos, reset, get ready(){ return ready; } };
+}
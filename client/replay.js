@@ -0,0 +1,192 @@
+// client/replay.js
+"use strict";
+import { SNAPSHOT_VERSION, createSnapshotDecoder } from "../shared/snapshot.js";
+
+/**
+ * Replay playback (?replay=<url of a .shrp file recorded by the server, see
+ * server/recorder.js>). createReplayNet looks like createNetWS to main.js:
+ * it sends a hello with the recorded world and then feeds the recorded
+ * snapshots through onSnapshot on a playback clock you can pause, seek and
+ * speed up. There is no "me" in a replay, so myId stays null.
+ */
+
+const MAGIC = "SHRP";
+const FORMAT = 1;
+const PLAY_TICK_MS = 33;
+
+/** Parse a replay file into { header, frames: [{ts, bytes, key}] }. */
+function parseReplay(buf) {
+  const u8 = new Uint8Array(buf);
+  const view = new DataView(buf);
+  if (String.fromCharCode(...u8.subarray(0, 4)) !== MAGIC) throw new Error("not a replay file");
+  if (view.getUint8(4) !== FORMAT) throw new Error("unsupported replay format");
+  const headerLen = view.getUint32(5);
+  const header = JSON.parse(new TextDecoder().decode(u8.subarray(9, 9 + headerLen)));
+  // frames are snapshot messages, so they only decode with the layout they were written in
+  if (header.snapshotVersion !== SNAPSHOT_VERSION) {
+    throw new Error(`recorded with snapshot version ${header.snapshotVersion}, this client reads version ${SNAPSHOT_VERSION}`);
+  }
+
+  const frames = [];
+  let off = 9 + headerLen;
+  while (off + 4 <= u8.length) {
+    const len = view.getUint32(off); off += 4;
+    if (off + len > u8.length) break; // recording was cut off mid-frame
+    const bytes = u8.subarray(off, off + len); off += len;
+    // snapshot header: version u8, kind u8, seq u32, baseSeq u32, ts f64
+    const fv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    frames.push({ ts: fv.getFloat64(10), bytes, key: fv.getUint32(6) === 0 });
+  }
+  return { header, frames };
+}
+
+export function createReplayNet({ url }) {
+  let frames = [];
+  let header = null;
+  let decoder = null;
+  let cursor = -1;          // index of the last frame emitted
+  let time = 0;             // playback position, ms from the first frame
+  let playing = true;
+  let speed = 1;
+  let loaded = false;
+  let failed = null;
+  let timer = null;
+
+  let onSnapshot = () => {};
+  let onHello = () => {};
+  let onKicked = () => {};
+
+  const startTs = () => frames.length ? frames[0].ts : 0;
+  const duration = () => frames.length ? frames[frames.length - 1].ts - startTs() : 0;
+
+  async function connect(){
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      ({ header, frames } = parseReplay(await res.arrayBuffer()));
+      if (!frames.length) throw new Error("replay has no frames");
+    } catch (e) {
+      failed = `Could not load replay: ${e.message}`;
+      onKicked(failed);
+      return;
+    }
+    loaded = true;
+    onHello({ type: "hello", id: null, name: null, room: header.room, world: header.world });
+    seek(0);
+    let last = performance.now();
+    timer = setInterval(() => {
+      const now = performance.now();
+      if (playing) advance((now - last) * speed);
+      last = now;
+    }, PLAY_TICK_MS);
+  }
+
+  function decodeFrame(i){
+    const out = decoder.decode(frames[i].bytes);
+    cursor = i;
+    return out && out.snapshot;
+  }
+
+  /** Play forward by dtMs of recording time, emitting every frame passed. */
+  function advance(dtMs){
+    time = Math.min(duration(), time + dtMs);
+    const target = startTs() + time;
+    let snap = null;
+    while (cursor + 1 < frames.length && frames[cursor + 1].ts <= target) snap = decodeFrame(cursor + 1) || snap;
+    if (snap) onSnapshot(snap);
+    if (time >= duration()) playing = false;
+  }
+
+  /** Jump to ms (from the start): decode from the nearest keyframe before it. */
+  function seek(ms){
+    if (!loaded) return;
+    time = Math.max(0, Math.min(duration(), ms));
+    const target = startTs() + time;
+    let end = 0;
+    while (end + 1 < frames.length && frames[end + 1].ts <= target) end++;
+    let start = end;
+    while (start > 0 && !frames[start].key) start--;
+    decoder = createSnapshotDecoder();
+    let snap = null;
+    for (let i = start; i <= end; i++) snap = decodeFrame(i) || snap;
+    if (snap) onSnapshot(snap);
+  }
+
+  return {
+    connect,
+    sendInput(){},
+    setHerd(){},
+    buy(){},
+    setView(){},
+    followPlayer(){},  // the whole world is recorded; following is purely local
+    onRoster(){},
+    onChat(){},
+    onLeaderboard(){},
+    onRound(){},
+    onEffect(){},
+    sendChat(){},
+    setIgnored(){},
+    isIgnored: () => false,
+    onSnapshot: (cb) => { onSnapshot = cb; },
+    onHello: (cb) => { onHello = cb; },
+    onKicked: (cb) => { onKicked = cb; },
+    play(){ if (time >= duration()) seek(0); playing = true; },
+    pause(){ playing = false; },
+    seek,
+    setSpeed(x){ speed = x; },
+    stop(){ clearInterval(timer); },
+    get myId(){ return null; },
+    get connected(){ return !failed; },
+    get kicked(){ return !!failed; },
+    get closeReason(){ return failed; },
+    get playing(){ return playing; },
+    get speed(){ return speed; },
+    get time(){ return time; },
+    get duration(){ return duration(); },
+    get room(){ return header && header.room; },
+  };
+}
+
+const fmtTime = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+/** Play/pause, seek bar and speed picker for a replay net. */
+export function showReplayControls(replay){
+  const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+  const bar = document.createElement("div");
+  bar.className = "replay-bar";
+  bar.innerHTML = `
+    <button class="replay-play">Pause</button>
+    <input class="replay-seek" type="range" min="0" max="0" step="100" value="0" />
+    <span class="replay-time">0:00 / 0:00</span>
+    <select class="replay-speed">${SPEEDS.map(s => `<option value="${s}"${s === 1 ? " selected" : ""}>${s}×</option>`).join("")}</select>`;
+  document.body.appendChild(bar);
+
+  const playBtn = bar.querySelector(".replay-play");
+  const seekBar = bar.querySelector(".replay-seek");
+  const timeEl  = bar.querySelector(".replay-time");
+  const speedEl = bar.querySelector(".replay-speed");
+  let dragging = false;
+
+  const toggle = () => { if (replay.playing) replay.pause(); else replay.play(); };
+  playBtn.onclick = toggle;
+  speedEl.onchange = () => replay.setSpeed(Number(speedEl.value));
+  seekBar.oninput = () => { dragging = true; replay.seek(Number(seekBar.value)); };
+  seekBar.onchange = () => { dragging = false; };
+  // Space toggles playback (WASD/arrows move the free camera)
+  addEventListener("keydown", (e) => {
+    if (e.code !== "Space" || e.target instanceof HTMLInputElement) return;
+    e.preventDefault();
+    toggle();
+  });
+
+  setInterval(() => {
+    playBtn.textContent = replay.playing ? "Pause" : "Play";
+    seekBar.max = String(Math.round(replay.duration));
+    if (!dragging) seekBar.value = String(Math.round(replay.time));
+    timeEl.textContent = `${fmtTime(replay.time)} / ${fmtTime(replay.duration)}`;
+  }, 200);
+}
@@ -0,0 +1,88 @@
+// client/round.js
+"use strict";
+
+/**
+ * Round mode display (server ROUND_MS): a countdown at the top while a round
+ * runs, and the results screen with the winner and final standings during
+ * the intermission. Fed by the server's "round" messages, which carry the
+ * time left when sent; we count down locally from there.
+ */
+export function createRoundDisplay() {
+  const SCORE_LABEL = { herd: "Herd", peak: "Peak herd", lambs: "Lambs" };
+  let state = null;
+  let receivedAt = 0;
+
+  const fmt = (ms) => {
+    const s = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+  };
+
+  function update(msg) {
+    state = msg;
+    receivedAt = performance.now();
+  }
+
+  function drawCountdown(ctx, left) {
+    const text = `Round ${state.round} • ${fmt(left)}`;
+    ctx.font = "bold 16px system-ui, sans-serif";
+    const w = ctx.measureText(text).width + 24;
+    const x = (ctx.canvas.width - w) / 2;
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(x, 10, w, 30);
+    ctx.fillStyle = left <= 10000 ? "#ff8a7a" : "#fff";
+    ctx.textAlign = "center";
+    ctx.fillText(text, ctx.canvas.width / 2, 25);
+  }
+
+  function drawResults(ctx, left, highlightId) {
+    const { winner, standings } = state.results || { winner: null, standings: [] };
+    const label = SCORE_LABEL[state.score] || "Score";
+    const W = 420, ROW = 22;
+    const H = 120 + ROW * Math.max(1, standings.length);
+    const x = (ctx.canvas.width - W) / 2, y = Math.max(20, (ctx.canvas.height - H) / 2);
+
+    ctx.fillStyle = "rgba(16,24,16,0.9)";
+    ctx.fillRect(x, y, W, H);
+    ctx.strokeStyle = "#4c8b41";
+    ctx.strokeRect(x + 0.5, y + 0.5, W - 1, H - 1);
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#fff";
+    ctx.font = "bold 20px system-ui, sans-serif";
+    ctx.fillText(`Round ${state.round} over`, x + W/2, y + 28);
+    ctx.font = "15px system-ui, sans-serif";
+    ctx.fillStyle = "#ffd27a";
+    ctx.fillText(winner ? `Winner: ${winner.name} (${label.toLowerCase()} ${winner[state.score]})` : "No winner", x + W/2, y + 54);
+
+    ctx.textAlign = "left";
+    ctx.font = "14px system-ui, sans-serif";
+    let ry = y + 84;
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.fillText("#", x + 20, ry); ctx.fillText("Shepherd", x + 50, ry);
+    ctx.fillText(label, x + 250, ry); ctx.fillText("Lambs", x + 340, ry);
+    for (const e of standings) {
+      ry += ROW;
+      ctx.fillStyle = e.id === highlightId ? "#ffd27a" : "#fff";
+      ctx.fillText(String(e.rank), x + 20, ry);
+      ctx.fillText(e.name, x + 50, ry);
+      ctx.fillText(String(e[state.score]), x + 250, ry);
+      ctx.fillText(String(e.lambs), x + 340, ry);
+    }
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.fillText(`Next round in ${fmt(left)}`, x + W/2, y + H - 14);
+  }
+
+  function draw(ctx, highlightId) {
+    if (!state) return;
+    const left = state.leftMs - (performance.now() - receivedAt);
+    ctx.save();
+    ctx.textBaseline = "middle";
+    if (state.phase === "intermission") drawResults(ctx, left, highlightId);
+    else drawCountdown(ctx, left);
+    ctx.restore();
+  }
+
+  return { update, draw, get phase() { return state && state.phase; } };
+}
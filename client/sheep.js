@@ -1,6 +1,9 @@
 // client/sheep.js
 "use strict";
-import { Sprites, drawSpriteCentered } from "./sprites.js";
+import { Sprites, drawSpriteCentered, tintedSprite } from "./sprites.js";
+
+/** Tint per coat (shared/snapshot.js SHEEP_COATS) that the sheep sprite is multiplied by. */
+export const COAT_TINTS = { white: "#ffffff", cream: "#f3dfb0", grey: "#a9a9a9", brown: "#9a6a45", black: "#4a4440" };
 
 /**
  * Sheep manager — NO map bounds. Sheep are only constrained to stay
@@ -12,9 +15,16 @@ import { Sprites, drawSpriteCentered } from "./sprites.js";
  * - Otherwise: stay put (no random wandering).
  * - Smooth velocity + light separation so they don’t stack.
  * - Sprites with a simple hunger ring.
+ *
+ * Herds fed from server snapshots carry `full` as a percentage (how fed the
+ * sheep is, draining over time), a life `stage`, which sets the size, how
+ * much `wool` it has grown (%; a full fleece looks fluffier) and `traits`
+ * (see main.js applyHerdSnapshot), whose coat tints the sprite.
+ *
+ * `env.stray` draws them as strays (no shepherd yet): faded, with a dashed ring.
  */
 export function createSheepManager(env) {
-  const { TILE, WORLD } = env; // edges/radial not needed anymore
+  const { TILE, WORLD, stray = false } = env; // edges/radial not needed anymore
 
   /* ===== Tunables ===== */
   const HERD_RADIUS_TILES = 10;             // how far sheep may stray from player
@@ -34,6 +44,8 @@ export function createSheepManager(env) {
   const MEALS_TO_BREED    = 3;
   const BREED_COOLDOWN_MS = 8000;
 
+  const STAGE_SIZE = { lamb: 0.7, adult: 1.05, elder: 1.0 }; // sprite size in tiles
+
   const sheep = []; // {x,y,vx,vy,phase,full,cd,ox,oy}
 
   /* ===== Math helpers ===== */
@@ -174,38 +186,50 @@ export function createSheepManager(env) {
     for (let i = 0; i < sheep.length; i++) {
       const s = sheep[i];
       const sx = s.x - cam.x, sy = s.y - cam.y;
+      const fleece = s.wool === undefined ? 1 : 0.9 + 0.1 * s.wool / 100; // freshly sheared sheep look trimmed
+      const k = (STAGE_SIZE[s.stage] || STAGE_SIZE.adult) / STAGE_SIZE.adult * fleece;
 
       // shadow
       ctx.save();
       ctx.fillStyle = "rgba(0,0,0,0.22)";
-      ctx.beginPath(); ctx.ellipse(sx, sy + TILE*0.18, TILE*0.26, TILE*0.14, 0, 0, Math.PI*2);
+      ctx.beginPath(); ctx.ellipse(sx, sy + TILE*0.18*k, TILE*0.26*k, TILE*0.14*k, 0, 0, Math.PI*2);
       ctx.fill();
       ctx.restore();
 
-      // sprite — slightly bigger than a tile
-      const size = TILE * 1.05;
-      const drawn = drawSpriteCentered(ctx, Sprites.sheep, sx, sy, size, size, 1);
+      // stray marker: dashed ring under the sprite
+      if (stray) {
+        ctx.save();
+        ctx.setLineDash([3, 3]);
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = "rgba(255,226,140,0.8)";
+        ctx.beginPath(); ctx.arc(sx, sy, TILE * 0.48, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+      }
+
+      // sprite — slightly bigger than a tile (lambs smaller)
+      const size = TILE * 1.05 * k;
+      const tint = COAT_TINTS[s.traits?.coat] || COAT_TINTS.white;
+      const spr = tint === COAT_TINTS.white ? Sprites.sheep : tintedSprite(Sprites.sheep, tint);
+      const drawn = drawSpriteCentered(ctx, spr, sx, sy, size, size, stray ? 0.6 : 1);
 
       if (!drawn){
         // fallback: cute circle
-        const r = TILE * 0.28 + Math.sin((s.phase + i) * 0.8) * 0.5;
+        const r = TILE * 0.28 * k + Math.sin((s.phase + i) * 0.8) * 0.5;
         ctx.beginPath(); ctx.arc(sx, sy, r, 0, Math.PI * 2);
-        ctx.fillStyle = "#ffffff"; ctx.fill();
+        ctx.fillStyle = tint; ctx.fill();
         ctx.lineWidth = 2; ctx.strokeStyle = "#1c1c1c"; ctx.stroke();
       }
 
-      // HUNGER RING
-      if (s.full > 0) {
-        const portion = s.full / MEALS_TO_BREED;
-        ctx.save();
-        ctx.lineWidth = 2;
-        ctx.strokeStyle = "rgba(0,0,0,0.55)";
-        const ringR = TILE * 0.38;
-        ctx.beginPath();
-        ctx.arc(sx, sy, ringR, -Math.PI/2, -Math.PI/2 + Math.PI*2*portion);
-        ctx.stroke();
-        ctx.restore();
-      }
+      // HUNGER RING: how fed (0-100 %), red when running low; a faint full ring while starving
+      const portion = Math.max(0, Math.min(1, s.full / 100));
+      ctx.save();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = portion === 0 ? "rgba(220,40,30,0.35)" : portion < 0.25 ? "rgba(220,40,30,0.85)" : "rgba(0,0,0,0.55)";
+      ctx.beginPath();
+      ctx.arc(sx, sy, TILE * 0.38, -Math.PI/2, -Math.PI/2 + Math.PI*2*(portion || 1));
+      ctx.stroke();
+      ctx.restore();
     }
   }
 
@@ -15,6 +15,7 @@ export const Sprites = {
   player: load("assets/player.png"),
   sheep:  load("assets/sheep.png"),
   wolf:   load("assets/wolf.png"),     // ⬅️ NEW
+  dog:    load("assets/dog.png"),      // pixel art, faces right
 };
 
 /** Draw an image centered at (x,y), size (w,h). Returns true if drawn. */
@@ -39,4 +40,30 @@ export function drawSpriteOriented(ctx, spr, x, y, w, h, angleRad, alpha = 1){
   ctx.drawImage(spr.img, -w/2, -h/2, w, h);
   ctx.restore();
   return true;
-}
\ No newline at end of file
+}
+
+const tints = new Map(); // sprite -> Map(color -> tinted sprite)
+
+/**
+ * The sprite multiplied by `color` (kept to the sprite's own shape), as a
+ * sprite the draw helpers take. Built once per color after the image loads;
+ * until then the untinted sprite comes back.
+ */
+export function tintedSprite(spr, color){
+  if (!spr?.ready) return spr;
+  if (!tints.has(spr)) tints.set(spr, new Map());
+  const cache = tints.get(spr);
+  if (!cache.has(color)) {
+    const cv = document.createElement("canvas");
+    cv.width = spr.w; cv.height = spr.h;
+    const c = cv.getContext("2d");
+    c.drawImage(spr.img, 0, 0);
+    c.globalCompositeOperation = "multiply";
+    c.fillStyle = color;
+    c.fillRect(0, 0, spr.w, spr.h);
+    c.globalCompositeOperation = "destination-in";
+    c.drawImage(spr.img, 0, 0);
+    cache.set(color, { img: cv, ready: true, w: spr.w, h: spr.h });
+  }
+  return cache.get(color);
+}
@@ -0,0 +1,60 @@
+// client/tooltip.js
+"use strict";
+
+/**
+ * Hover card for sheep: with the mouse over a sheep (any herd, or a stray)
+ * it shows its life stage, how fed it is, its fleece and its traits, next
+ * to the cursor.
+ */
+export function createSheepTooltip(canvas, { TILE }) {
+  const PICK_RADIUS = TILE * 0.6;
+  let mouse = null; // canvas px, or null when the pointer is off the canvas
+
+  canvas.addEventListener("pointermove", (e) => {
+    const r = canvas.getBoundingClientRect();
+    mouse = { x: (e.clientX - r.left) * canvas.width / r.width, y: (e.clientY - r.top) * canvas.height / r.height };
+  });
+  canvas.addEventListener("pointerleave", () => { mouse = null; });
+
+  const cap = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+  /** `flocks`: sheep lists to pick from (SheepManager.list); cam/zoom as the world was drawn with. */
+  function draw(ctx, cam, zoom, flocks) {
+    if (!mouse) return;
+    const wx = cam.x + mouse.x / zoom, wy = cam.y + mouse.y / zoom;
+    let hit = null, best = PICK_RADIUS;
+    for (const list of flocks) {
+      for (const s of list) {
+        const d = Math.hypot(s.x - wx, s.y - wy);
+        if (d < best) { best = d; hit = s; }
+      }
+    }
+    if (!hit || !hit.traits) return;
+
+    const t = hit.traits;
+    const lines = [
+      `${cap(hit.stage || "adult")} • ${t.coat} coat`,
+      `Fed ${hit.full}% • Fleece ${hit.wool ?? 0}%`,
+      `Speed ${t.speed}% • Appetite ${t.appetite}%`,
+      `Wool quality ${t.wool} • Wolf awareness ${t.awareness}`,
+    ];
+    ctx.save();
+    ctx.font = "12px system-ui, sans-serif";
+    ctx.textBaseline = "top";
+    const w = Math.max(...lines.map(l => ctx.measureText(l).width)) + 16;
+    const h = lines.length * 16 + 10;
+    const x = Math.min(mouse.x + 14, ctx.canvas.width - w - 4);
+    const y = Math.min(mouse.y + 14, ctx.canvas.height - h - 4);
+    ctx.fillStyle = "rgba(16,24,16,0.85)";
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = "rgba(255,255,255,0.25)";
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+    lines.forEach((line, i) => {
+      ctx.fillStyle = i === 0 ? "#ffd27a" : "#fff";
+      ctx.fillText(line, x + 8, y + 6 + i * 16);
+    });
+    ctx.restore();
+  }
+
+  return { draw };
+}
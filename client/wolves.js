@@ -9,9 +9,11 @@ import { Sprites, drawSpriteCentered } from "./sprites.js";
  *     targetList: [{ herdId, idx, ref:{x,y,...} }, ...]
  *     onKillIndex(k): host removes targetList[k] from its herd.
  * - Followers: applySnapshot() from host; no spawning logic used.
+ * - Each wolf may carry the server's behavior state ("roam" | "stalk" |
+ *   "chase" | "flee"), which changes how it is drawn.
  */
 export function createWolvesManager({ TILE, WORLD, ringAt }) {
-  const packs = []; // each wolf: { x, y, vx, vy, life }
+  const packs = []; // each wolf: { x, y, vx, vy, life, state }
 
   // Tunables
   const SPEED = TILE * 9.5;
@@ -85,17 +87,36 @@ export function createWolvesManager({ TILE, WORLD, ringAt }) {
     }
   }
 
+  // per state: shadow color, sprite alpha (stalkers slink low), size
+  const LOOK = {
+    roam:  { shadow: "rgba(0,0,0,0.28)",     alpha: 1,    size: 1.1 },
+    stalk: { shadow: "rgba(0,0,0,0.18)",     alpha: 0.55, size: 1.0 },
+    chase: { shadow: "rgba(200,30,20,0.55)", alpha: 1,    size: 1.25 },
+    flee:  { shadow: "rgba(0,0,0,0.2)",      alpha: 0.8,  size: 1.0 },
+  };
+
   function draw(ctx, cam, TILE) {
     for (const w of packs) {
       const sx = w.x - cam.x, sy = w.y - cam.y;
+      const look = LOOK[w.state] || LOOK.roam;
 
       // shadow
       ctx.save();
-      ctx.fillStyle = "rgba(0,0,0,0.28)";
-      ctx.beginPath(); ctx.ellipse(sx, sy + TILE*0.18, TILE*0.30, TILE*0.16, 0, 0, Math.PI*2);
+      ctx.fillStyle = look.shadow;
+      ctx.beginPath(); ctx.ellipse(sx, sy + TILE*0.18, TILE*0.30*look.size/1.1, TILE*0.16, 0, 0, Math.PI*2);
       ctx.fill(); ctx.restore();
 
-      if (!drawSpriteCentered(ctx, Sprites.wolf, sx, sy, TILE*1.1, TILE*1.1, 1)) {
+      if (w.state === "chase") {
+        // sprinting: a red "!" over its head
+        ctx.save();
+        ctx.fillStyle = "#ff5a4a";
+        ctx.font = `bold ${Math.round(TILE*0.7)}px system-ui, sans-serif`;
+        ctx.textAlign = "center";
+        ctx.fillText("!", sx, sy - TILE*0.7);
+        ctx.restore();
+      }
+
+      if (!drawSpriteCentered(ctx, Sprites.wolf, sx, sy, TILE*look.size, TILE*look.size, look.alpha)) {
         // fallback
         ctx.beginPath(); ctx.arc(sx, sy, TILE*0.38, 0, Math.PI*2);
         ctx.fillStyle = "#444"; ctx.fill();
@@ -108,12 +129,12 @@ export function createWolvesManager({ TILE, WORLD, ringAt }) {
     return packs.map(w => [Math.round(w.x), Math.round(w.y), Math.round(w.vx), Math.round(w.vy), Math.max(0, Math.round(w.life))]);
   }
   function applySnapshot(arr) {
-    while (packs.length < arr.length) packs.push({ x:0,y:0,vx:0,vy:0,life:LIFE_MS });
+    while (packs.length < arr.length) packs.push({ x:0,y:0,vx:0,vy:0,life:LIFE_MS,state:"roam" });
     while (packs.length > arr.length) packs.pop();
     for (let i=0;i<arr.length;i++){
-      const [x,y,vx,vy,life] = arr[i];
+      const [x,y,vx,vy,life,state] = arr[i];
       const w = packs[i];
-      w.x = x; w.y = y; w.vx = vx; w.vy = vy; w.life = life;
+      w.x = x; w.y = y; w.vx = vx; w.vy = vy; w.life = life; w.state = state || "roam";
     }
   }
 
@@ -0,0 +1,61 @@
+// server/chat.js
+// Chat helpers for rooms: message cleanup, a per-connection token-bucket
+// rate limiter and the word filter. The filter list comes from CHAT_FILTER
+// (comma separated) and/or CHAT_FILTER_FILE (one word per line, # comments).
+
+import { readFileSync } from "node:fs";
+
+export const CHAT_MAX_LEN = 140;
+
+/** Trim, drop control characters, collapse whitespace, cap length; "" if nothing left. */
+export function cleanChatText(raw){
+  if (typeof raw !== "string") return "";
+  return raw.replace(/[\u0000-\u001f\u007f]/g, " ").replace(/\s+/g, " ").trim().slice(0, CHAT_MAX_LEN);
+}
+
+/**
+ * Token bucket: `capacity` messages at once, refilled at `refillPerSec`.
+ * take(now) spends one token, or returns false when the bucket is empty.
+ */
+export function createRateLimiter({ capacity, refillPerSec }){
+  let tokens = capacity;
+  let last = null;
+  return {
+    take(now){
+      if (last !== null) tokens = Math.min(capacity, tokens + (now - last) / 1000 * refillPerSec);
+      last = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    }
+  };
+}
+
+/** Word list from the environment (lowercased, deduped). */
+export function loadFilterWords(env = process.env){
+  const words = new Set();
+  for (const w of (env.CHAT_FILTER || "").split(",")) if (w.trim()) words.add(w.trim().toLowerCase());
+  if (env.CHAT_FILTER_FILE) {
+    try {
+      for (const line of readFileSync(env.CHAT_FILTER_FILE, "utf8").split(/\r?\n/)) {
+        const w = line.replace(/#.*/, "").trim().toLowerCase();
+        if (w) words.add(w);
+      }
+    } catch (e) {
+      console.warn("[chat] could not read CHAT_FILTER_FILE:", e.message);
+    }
+  }
+  return [...words];
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * text -> text with every listed word (whole word, any case) starred out.
+ * Word edges are Unicode letters/digits, not \b (which only knows ASCII).
+ */
+export function createWordFilter(words){
+  if (!words.length) return (text) => text;
+  const re = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRe).join("|")})(?![\\p{L}\\p{N}_])`, "giu");
+  return (text) => text.replace(re, (m) => "*".repeat(m.length));
+}
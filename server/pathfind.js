@@ -0,0 +1,195 @@
+// server/pathfind.js
+// Grid pathfinding over the world's walkable tiles, so sheep and wolves can
+// get around the river and the dark ring instead of pushing into the bank.
+// Moves are 4-neighbour only: bridges are 4-connected strips of tiles, and
+// a diagonal step along one would cut across the water.
+//
+//  - findPath: A* from one tile to another (wolves heading for their prey).
+//  - flowField: breadth-first distances out from one goal tile, so every
+//    sheep of a herd can look up its next tile toward the shepherd.
+//  - lineClear / slideMove: straight-line visibility and wall sliding in
+//    world pixels, the pixel-space twin of shared/player.js movePlayer.
+
+const DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Pathfinder for one world (from buildWorld). Scratch buffers are shared
+ * between calls, so results must be used (or copied) before the next call.
+ */
+export function createPathfinder({ WORLD, TILE, canWalk }){
+  const N = WORLD * WORLD;
+  const walkable = new Uint8Array(N);
+  for (let y = 0; y < WORLD; y++) for (let x = 0; x < WORLD; x++) walkable[y*WORLD + x] = canWalk(x, y) ? 1 : 0;
+
+  const tileOf = (px) => Math.floor(px / TILE);
+  const open = (tx, ty) => tx >= 0 && ty >= 0 && tx < WORLD && ty < WORLD && walkable[ty*WORLD + tx] === 1;
+
+  /* ===== A* ===== */
+  const gScore = new Float64Array(N);
+  const cameFrom = new Int32Array(N);
+  const seen = new Uint32Array(N);   // == stamp -> gScore/cameFrom valid this search
+  const closed = new Uint32Array(N); // == stamp -> expanded this search
+  let stamp = 0;
+  const heap = []; // binary heap of [f, tile]; ties broken by tile index so runs are deterministic
+
+  const less = (a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+  function push(item){
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const up = (i - 1) >> 1;
+      if (!less(heap[i], heap[up])) break;
+      [heap[i], heap[up]] = [heap[up], heap[i]];
+      i = up;
+    }
+  }
+  function pop(){
+    const top = heap[0], last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2*i + 1, r = l + 1;
+        let m = i;
+        if (l < heap.length && less(heap[l], heap[m])) m = l;
+        if (r < heap.length && less(heap[r], heap[m])) m = r;
+        if (m === i) break;
+        [heap[i], heap[m]] = [heap[m], heap[i]];
+        i = m;
+      }
+    }
+    return top;
+  }
+
+  /**
+   * Tiles from (sx,sy) to (gx,gy), start excluded, as packed y*WORLD+x
+   * indexes; [] if already there, null if unreachable within maxNodes
+   * expansions.
+   */
+  function findPath(sx, sy, gx, gy, maxNodes = N){
+    if (!open(sx, sy) || !open(gx, gy)) return null;
+    const start = sy*WORLD + sx, goal = gy*WORLD + gx;
+    if (start === goal) return [];
+    if (++stamp === 0xffffffff) { seen.fill(0); closed.fill(0); stamp = 1; }
+    heap.length = 0;
+    seen[start] = stamp; gScore[start] = 0; cameFrom[start] = -1;
+    push([Math.abs(gx - sx) + Math.abs(gy - sy), start]);
+
+    let expanded = 0;
+    while (heap.length && expanded < maxNodes) {
+      const [, cur] = pop();
+      if (closed[cur] === stamp) continue;
+      if (cur === goal) {
+        const path = [];
+        for (let t = goal; t !== start; t = cameFrom[t]) path.push(t);
+        return path.reverse();
+      }
+      closed[cur] = stamp;
+      expanded++;
+      const cx = cur % WORLD, cy = (cur - cx) / WORLD;
+      for (const [dx, dy] of DIRS) {
+        const nx = cx + dx, ny = cy + dy;
+        if (!open(nx, ny)) continue;
+        const n = ny*WORLD + nx;
+        if (closed[n] === stamp) continue;
+        const g = gScore[cur] + 1;
+        if (seen[n] === stamp && g >= gScore[n]) continue;
+        seen[n] = stamp; gScore[n] = g; cameFrom[n] = cur;
+        push([g + Math.abs(gx - nx) + Math.abs(gy - ny), n]);
+      }
+    }
+    return null;
+  }
+
+  /* ===== Flow field ===== */
+  const queue = new Int32Array(N);
+
+  /**
+   * Step distances to (gx,gy) for every tile up to maxDist steps away,
+   * written into `field` (a Uint16Array(WORLD*WORLD), reused per caller).
+   * Unreached tiles hold 0xffff.
+   */
+  function flowField(field, gx, gy, maxDist){
+    field.fill(0xffff);
+    if (!open(gx, gy)) return field;
+    let head = 0, tail = 0;
+    queue[tail++] = gy*WORLD + gx;
+    field[gy*WORLD + gx] = 0;
+    while (head < tail) {
+      const cur = queue[head++];
+      const d = field[cur];
+      if (d >= maxDist) continue;
+      const cx = cur % WORLD, cy = (cur - cx) / WORLD;
+      for (const [dx, dy] of DIRS) {
+        const nx = cx + dx, ny = cy + dy;
+        if (!open(nx, ny)) continue;
+        const n = ny*WORLD + nx;
+        if (field[n] !== 0xffff) continue;
+        field[n] = d + 1;
+        queue[tail++] = n;
+      }
+    }
+    return field;
+  }
+
+  /** Next tile (packed) downhill in `field` from tile (tx,ty), or -1 if off the field / at the goal. */
+  function flowNext(field, tx, ty){
+    if (tx < 0 || ty < 0 || tx >= WORLD || ty >= WORLD) return -1;
+    const d = field[ty*WORLD + tx];
+    if (d === 0 || d === 0xffff) return -1;
+    for (const [dx, dy] of DIRS) {
+      const nx = tx + dx, ny = ty + dy;
+      if (nx < 0 || ny < 0 || nx >= WORLD || ny >= WORLD) continue;
+      if (field[ny*WORLD + nx] === d - 1) return ny*WORLD + nx;
+    }
+    return -1;
+  }
+
+  /* ===== Pixel space ===== */
+
+  /**
+   * True if the straight segment between two pixel positions only crosses
+   * walkable tiles, moving tile to tile through shared edges (so it never
+   * slips diagonally between two blocked corners).
+   */
+  function lineClear(x0, y0, x1, y1){
+    let tx = tileOf(x0), ty = tileOf(y0);
+    const ex = tileOf(x1), ey = tileOf(y1);
+    if (!open(tx, ty)) return false;
+    const dx = x1 - x0, dy = y1 - y0;
+    const stepX = dx > 0 ? 1 : -1, stepY = dy > 0 ? 1 : -1;
+    const tDeltaX = dx ? Math.abs(TILE / dx) : Infinity;
+    const tDeltaY = dy ? Math.abs(TILE / dy) : Infinity;
+    let tMaxX = dx ? ((dx > 0 ? (tx + 1) * TILE - x0 : x0 - tx * TILE) / Math.abs(dx)) : Infinity;
+    let tMaxY = dy ? ((dy > 0 ? (ty + 1) * TILE - y0 : y0 - ty * TILE) / Math.abs(dy)) : Infinity;
+    for (let guard = 0; (tx !== ex || ty !== ey) && guard < 4 * WORLD; guard++) {
+      if (tMaxX < tMaxY) { tMaxX += tDeltaX; tx += stepX; }
+      else { tMaxY += tDeltaY; ty += stepY; }
+      if (!open(tx, ty)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Move e ({x,y} in pixels) by (dx,dy), sliding along blocked tiles like a
+   * shepherd does. Something already standing on a blocked tile (spawned or
+   * saved there) moves freely so it can walk out.
+   */
+  function slideMove(e, dx, dy){
+    const nx = e.x + dx, ny = e.y + dy;
+    if (!open(tileOf(e.x), tileOf(e.y)) || open(tileOf(nx), tileOf(ny))) { e.x = nx; e.y = ny; return; }
+    if (open(tileOf(nx), tileOf(e.y))) e.x = nx;
+    if (open(tileOf(e.x), tileOf(ny))) e.y = ny;
+  }
+
+  return {
+    findPath,
+    flowField,
+    flowNext,
+    lineClear,
+    slideMove,
+    open,
+    /** Pixel center of packed tile t. */
+    center: (t) => ({ x: (t % WORLD) * TILE + TILE/2, y: Math.floor(t / WORLD) * TILE + TILE/2 }),
+  };
+}
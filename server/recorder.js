@@ -0,0 +1,60 @@
+// server/recorder.js
+// Match recording: every snapshot a room broadcasts (the whole world, not a
+// client's area of interest) is appended to a replay file with the same
+// binary delta encoding clients get, so a long match stays small. The client
+// plays the file back with ?replay= (see client/replay.js).
+//
+// File layout:
+//   "SHRP" | u8 format | u32 header bytes | header JSON {room, world, startedAt, snapshotVersion}
+//   then frames: u32 bytes | snapshot message (a keyframe every KEYFRAME_EVERY frames, for seeking)
+
+import { createWriteStream, mkdirSync } from "node:fs";
+import { join as joinPath } from "node:path";
+import { SNAPSHOT_VERSION, createSnapshotEncoder } from "../shared/snapshot.js";
+
+export const REPLAY_MAGIC  = "SHRP";
+export const REPLAY_FORMAT = 1;
+const KEYFRAME_EVERY = 150; // ~10 s at the snapshot rate
+
+/** Start recording `room` into dir; returns {record(state), close()}; close() resolves once the file is written out. */
+export function createRecorder({ dir, room, worldDef }){
+  mkdirSync(dir, { recursive: true });
+  const startedAt = Date.now();
+  const file = joinPath(dir, `${room}-${new Date(startedAt).toISOString().replace(/[:.]/g, "-")}.shrp`);
+  const out = createWriteStream(file);
+  out.on("error", (e) => console.warn(`[replay] ${room}: write failed:`, e.message));
+
+  const header = Buffer.from(JSON.stringify({ room, world: worldDef, startedAt, snapshotVersion: SNAPSHOT_VERSION }));
+  const pre = Buffer.alloc(9);
+  pre.write(REPLAY_MAGIC, 0, "latin1");
+  pre.writeUInt8(REPLAY_FORMAT, 4);
+  pre.writeUInt32BE(header.length, 5);
+  out.write(pre);
+  out.write(header);
+  console.log(`[replay] ${room}: recording to ${file}`);
+
+  const encoder = createSnapshotEncoder();
+  let frames = 0;
+
+  /** Append one full-world snapshot state (deltas chain frame to frame). */
+  function record(state){
+    if (frames % KEYFRAME_EVERY === 0) encoder.ack(0);
+    const bytes = encoder.encode({ ...state, lastInput: 0 });
+    encoder.ack(encoder.seq);
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(bytes.length, 0);
+    out.write(len);
+    out.write(bytes);
+    frames++;
+  }
+
+  function close(){
+    return new Promise((resolve) => {
+      if (out.closed) return resolve();
+      out.once("close", resolve);
+      out.end();
+    });
+  }
+
+  return { record, close, file };
+}
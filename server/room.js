@@ -0,0 +1,548 @@
+// server/room.js
+// One isolated world: its connected sockets, sessions, tick loop and save
+// file around a headless simulation (sim.js). server.js creates rooms
+// lazily on join and stops them when the last connected client leaves.
+
+import { randomBytes } from "node:crypto";
+import { performance } from "node:perf_hooks";
+import { join as joinPath } from "node:path";
+import { randomSeed } from "../shared/rng.js";
+import { sanitizeInput } from "../shared/player.js";
+import { stateToSnapshot } from "../shared/snapshot.js";
+import { loadState, saveState } from "./store.js";
+import { createWorld, TILE, STEP_MS } from "./sim.js";
+import { createRecorder } from "./recorder.js";
+import { cleanChatText, createRateLimiter, createWordFilter, loadFilterWords } from "./chat.js";
+
+// raise server update cadence a bit
+const TICK_MS = 66;   // was 100
+const SNAP_MS = 66;   // match tick so we snapshot every step
+const MAX_CATCHUP_STEPS = 5;       // after a stall, drop time rather than spiral
+const OVERRUN_LOG_EVERY_MS = 5000; // at most one "tick over budget" line per room per interval
+
+// how long a dropped player's shepherd + flock wait (frozen, ignored by wolves) for a resume
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS) || 120000;
+
+/* ===== PERSISTENCE (world survives restarts/deploys) ===== */
+const STATE_DIR      = process.env.STATE_DIR || "world-state";
+const SAVE_EVERY_MS  = Number(process.env.SAVE_EVERY_MS) || 30000;
+const DORMANT_TTL_MS = 7 * 24 * 3600 * 1000; // saved herds of absent players kept this long
+
+// RECORD_DIR=replays records every room's snapshots there (see recorder.js)
+const RECORD_DIR = process.env.RECORD_DIR || null;
+
+/* ===== CHAT ===== */
+const CHAT_BURST        = 5;     // messages a connection may send back to back
+const CHAT_REFILL_PER_S = 0.5;   // ...then one every 2 s
+const CHAT_STRIKES_TO_MUTE = 3;  // rate-limit hits before an automatic mute
+const CHAT_AUTO_MUTE_MS = 60000;
+const chatFilter = createWordFilter(loadFilterWords());
+
+/* ===== WOLVES ===== */
+// WOLF_SPEEDS="chase=12,flee=10" overrides per-state wolf speeds (tiles/s; states in sim.js WOLF_SPEEDS)
+const WOLF_SPEED_OVERRIDES = Object.fromEntries((process.env.WOLF_SPEEDS || "").split(",")
+  .map(kv => kv.split("=").map(s => s.trim())).filter(([k, v]) => k && v));
+
+// RUSTLING=1 turns on herd stealing: sheep left far behind go over to a closer rival
+const RUSTLING = process.env.RUSTLING === "1";
+
+/* ===== AREA OF INTEREST ===== */
+// the client's viewport around its shepherd, plus a margin
+const AOI_MARGIN_PX = TILE * 6;
+
+/* ===== ROUNDS (optional) ===== */
+// ROUND_MS=600000 plays 10-minute rounds: the best ROUND_SCORE (herd | peak | lambs)
+// wins, results show for INTERMISSION_MS, then the world resets for the next round
+const ROUND_MS        = Number(process.env.ROUND_MS) || 0; // 0 = endless world
+const INTERMISSION_MS = Number(process.env.INTERMISSION_MS) || 15000;
+const ROUND_SCORE     = ["herd", "peak", "lambs"].includes(process.env.ROUND_SCORE) ? process.env.ROUND_SCORE : "herd";
+
+// leaderboard: top N shepherds (+ your own rank), sent to everyone at a low rate
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_EVERY_MS = 2000;
+
+// spectators get the full shepherd list (names + herd sizes) this often, to pick who to follow
+const ROSTER_EVERY_MS = 1000;
+
+function send(ws, obj){ try { ws.send(JSON.stringify(obj)); } catch {} }
+
+/**
+ * Create a room. `code` makes it private (joins must present it); a saved
+ * room keeps the code it was created with.
+ */
+export function createRoom({ name, code = null }){
+  const stateFile = joinPath(STATE_DIR, `${name}.json`);
+  const saved = loadState(stateFile);
+  if (saved && saved.code) code = saved.code;
+
+  // world layout is generated from a seed (WORLD_SEED pins it for testing; else keep the saved one)
+  const WORLD_SEED = process.env.WORLD_SEED ? (Number(process.env.WORLD_SEED) >>> 0)
+                   : saved ? saved.seed >>> 0 : randomSeed();
+  const sameWorld = saved && saved.seed >>> 0 === WORLD_SEED;
+  const food = sameWorld && Array.isArray(saved.food) ? saved.food : null;
+  const strays = sameWorld && Array.isArray(saved.strays) ? saved.strays : null;
+  const sim  = createWorld({ seed: WORLD_SEED, food, strays, wolfSpeeds: WOLF_SPEED_OVERRIDES, rustling: RUSTLING });
+  const worldDef = sim.def;
+  const recorder = RECORD_DIR ? createRecorder({ dir: RECORD_DIR, room: name, worldDef }) : null;
+
+  /* ===== Connections ===== */
+  const clients = new Set();  // sockets in this room
+  const conns = new Map();    // player id -> {token, ws, connected, graceMs}
+  const sessions = new Map(); // resume token -> player id
+  const muted = new Map();    // player id -> muted until (ms); survives reconnects
+  // players not currently in the world (from the save file, or whose grace ran out):
+  // token -> {token,name,x,y,lastSeen,stats,...,herd?:[{full,cd,ox,oy}]}
+  const dormant  = new Map((saved?.players || [])
+    .filter(r => r && typeof r.token === "string" && Date.now() - (r.lastSeen || 0) < DORMANT_TTL_MS)
+    .map(r => [r.token, r]));
+
+  /* ===== Snapshots (per client: area of interest + binary deltas or JSON) ===== */
+  function captureState(ts){
+    return { ts, online: onlineCount(), ...sim.capture() };
+  }
+
+  /**
+   * World-pixel rect this client cares about: around its shepherd, or for a
+   * spectator around whoever it follows / wherever it looks. Null = everything.
+   */
+  function interestRect(ws){
+    let cxPx, cyPx;
+    const p = sim.player(ws.spectator ? ws.follow : ws.id);
+    if (p) { cxPx = p.x*TILE + TILE/2; cyPx = p.y*TILE + TILE/2; }
+    else if (ws.spectator && Number.isFinite(ws.view.x)) { cxPx = ws.view.x; cyPx = ws.view.y; }
+    else return null;
+    const hw = ws.view.w/2 + AOI_MARGIN_PX, hh = ws.view.h/2 + AOI_MARGIN_PX;
+    return { x0: cxPx - hw, y0: cyPx - hh, x1: cxPx + hw, y1: cyPx + hh };
+  }
+
+  /**
+   * The slice of a captured state inside rect (own shepherd + herd always
+   * kept), tagged with the last input seq we processed for that client.
+   */
+  function filterState(full, rect, selfId){
+    const lastInput = sim.player(selfId)?.lastSeq ?? 0;
+    const inventory = sim.inventory(selfId);
+    if (!rect) return { ...full, lastInput, inventory };
+    const inside = (x, y) => x >= rect.x0 && x <= rect.x1 && y >= rect.y0 && y <= rect.y1;
+
+    const playersState = new Map();
+    for (const [id,p] of full.players) {
+      if (id === selfId || inside(p.x*TILE + TILE/2, p.y*TILE + TILE/2)) playersState.set(id, p);
+    }
+    const herdsState = new Map();
+    for (const [id,flock] of full.herds) {
+      if (id === selfId) { herdsState.set(id, flock); continue; }
+      const seen = new Map();
+      for (const [sid,t] of flock) if (inside(t[0], t[1])) seen.set(sid, t);
+      if (seen.size) herdsState.set(id, seen);
+    }
+    const strays = new Map();
+    for (const [sid,t] of full.strays) if (inside(t[0], t[1])) strays.set(sid, t);
+    const traits = new Map();
+    for (const flock of [...herdsState.values(), strays]) for (const sid of flock.keys()) traits.set(sid, full.traits.get(sid));
+    const patches = new Set();
+    for (const key of full.patches) {
+      const [xs, ys] = key.split(",");
+      if (inside(+xs*TILE + TILE/2, +ys*TILE + TILE/2)) patches.add(key);
+    }
+    return {
+      ts: full.ts,
+      online: full.online,
+      lastInput,
+      inventory,
+      players: playersState,
+      herds: herdsState,
+      strays,
+      strayCount: full.strayCount,
+      traits,
+      wolves: sim.wolvesInRect(rect),
+      dogs: full.dogs.filter(([id, x, y]) => id === selfId || inside(x, y)),
+      patches
+    };
+  }
+
+  function broadcastSnapshot(full){
+    for (const client of clients) {
+      if (client.readyState !== 1) continue;
+      const state = filterState(full, interestRect(client), client.id);
+      const json = (!client.snap || client.netStats) ? JSON.stringify(stateToSnapshot(state)) : null;
+      try {
+        if (client.snap) {
+          const bytes = client.snap.encode(state);
+          client.send(bytes);
+          client.stats.bin += bytes.length;
+        } else {
+          client.send(json);
+        }
+        if (client.netStats) client.stats.json += Buffer.byteLength(json);
+      } catch {}
+    }
+  }
+
+  /** Shepherd actions from the last steps, to everyone whose area of interest they fall in. */
+  function broadcastEffects(){
+    for (const ev of sim.takeEvents()) {
+      // a theft goes to everyone (with names) for the kill feed
+      const everyone = ev.kind === "stolen";
+      const out = JSON.stringify(everyone
+        ? { type: "effect", ...ev, name: sim.player(ev.id)?.name, fromName: sim.player(ev.from)?.name }
+        : { type: "effect", ...ev });
+      for (const client of clients) {
+        if (client.readyState !== 1) continue;
+        const rect = interestRect(client);
+        if (!everyone && rect && (ev.x < rect.x0 || ev.x > rect.x1 || ev.y < rect.y0 || ev.y > rect.y1)) continue;
+        try { client.send(out); } catch {}
+      }
+    }
+  }
+
+  /* ===== Players joining / leaving ===== */
+  function onlineCount(){
+    let n = 0;
+    for (const c of conns.values()) if (c.connected) n++;
+    return n;
+  }
+
+  /** Spawn (or resume) this socket's shepherd and greet it. False if the code is wrong. */
+  function join(ws, msg){
+    if (code && msg.code !== code) return false;
+    clients.add(ws);
+
+    if (ws.spectator) {
+      // watch only: no shepherd, no herd, not counted online
+      ws.follow = null;
+      send(ws, { type: "hello", id: null, name: ws.name, room: name, world: worldDef, spectator: true });
+      sendRoster(ws);
+      sendRound(ws);
+      return true;
+    }
+
+    const token = randomBytes(16).toString("hex");
+    sim.addPlayer(ws.id, ws.name);
+    conns.set(ws.id, { token, ws, connected: true, graceMs: 0 });
+    sessions.set(token, ws.id);
+
+    if (!(typeof msg.resume === "string" && resumeSession(ws, msg.resume))) {
+      // greet with a tiny hello (+ the authoritative world definition and a resume token)
+      send(ws, { type: "hello", id: ws.id, name: ws.name, token, room: name, world: worldDef });
+    }
+    sendRound(ws);
+    return true;
+  }
+
+  function leave(ws){
+    clients.delete(ws);
+    if (ws.spectator) return;
+    const c = conns.get(ws.id);
+    if (!c || c.ws !== ws) return; // already taken over by a resumed connection
+    // keep shepherd + flock for a grace period so a reconnect can reclaim them
+    c.ws = null;
+    c.connected = false;
+    c.graceMs = RESUME_GRACE_MS;
+    sim.setActive(ws.id, false);
+  }
+
+  /** Shepherd names + herd sizes, for a spectator's follow list and HUD. */
+  function sendRoster(ws){
+    const players = [];
+    for (const [id, p] of sim.players) players.push({ id, name: p.name, sheep: sim.herd(id)?.length || 0 });
+    send(ws, { type: "roster", players });
+  }
+
+  /** Standings ranked by the round's scoring rule; ties go to the bigger herd, then by name and id. */
+  function ranked(){
+    return sim.standings().sort((a, b) =>
+      b[ROUND_SCORE] - a[ROUND_SCORE] || b.herd - a.herd || a.name.localeCompare(b.name) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  }
+
+  /* ===== Rounds ===== */
+  const round = { n: 1, phase: "playing", leftMs: ROUND_MS, results: null };
+
+  const roundMessage = () => ({
+    type: "round", round: round.n, phase: round.phase, leftMs: Math.max(0, Math.round(round.leftMs)),
+    score: ROUND_SCORE, results: round.results
+  });
+  function sendRound(ws){ if (ROUND_MS) send(ws, roundMessage()); }
+  function broadcastRound(){
+    const msg = JSON.stringify(roundMessage());
+    for (const client of clients) if (client.readyState === 1) { try { client.send(msg); } catch {} }
+  }
+
+  /** Time's up: freeze the standings into results and start the intermission. */
+  function endRound(){
+    const results = ranked().slice(0, LEADERBOARD_SIZE).map((e, i) => boardEntry(e, i + 1));
+    round.results = { winner: results[0] || null, standings: results };
+    round.phase = "intermission";
+    round.leftMs = INTERMISSION_MS;
+    console.log(`[round] ${name}: round ${round.n} won by ${results[0]?.name ?? "nobody"}`);
+    broadcastRound();
+  }
+
+  /** Intermission over: reset herds, wolves and food, respawn everyone, go. */
+  function startRound(){
+    sim.resetRound();
+    // absent players come back to the new round with a fresh flock, not last round's
+    for (const rec of dormant.values()) { delete rec.herd; delete rec.stats; delete rec.dog; delete rec.inv; delete rec.upgrades; }
+    round.n++;
+    round.phase = "playing";
+    round.leftMs = ROUND_MS;
+    round.results = null;
+    broadcastRound();
+  }
+
+  function updateRound(dtMs){
+    if (!ROUND_MS) return;
+    round.leftMs -= dtMs;
+    if (round.leftMs > 0) return;
+    if (round.phase === "playing") endRound(); else startRound();
+  }
+
+  /* ===== Leaderboard ===== */
+  const boardEntry = (e, rank) => ({
+    rank, id: e.id, name: e.name, herd: e.herd, peak: e.peak, lambs: e.lambs,
+    meals: e.meals, lost: e.lost, died: e.died, aliveS: Math.floor(e.aliveMs / 1000)
+  });
+
+  function broadcastLeaderboard(){
+    const all = ranked();
+    const top = all.slice(0, LEADERBOARD_SIZE).map((e, i) => boardEntry(e, i + 1));
+    const base = { type: "leaderboard", players: all.length, top };
+    const shared = JSON.stringify(base);
+    for (const client of clients) {
+      if (client.readyState !== 1) continue;
+      // players outside the top N also get their own line
+      const at = client.spectator ? -1 : all.findIndex(e => e.id === client.id);
+      if (at < LEADERBOARD_SIZE) { try { client.send(shared); } catch {} continue; }
+      send(client, { ...base, you: boardEntry(all[at], at + 1) });
+    }
+  }
+
+  /* ===== Chat ===== */
+
+  /** Moderation hook: silence player `id` for ms (their messages go nowhere). */
+  function mute(id, ms){ muted.set(id, Date.now() + ms); }
+  function unmute(id){ muted.delete(id); }
+
+  function chat(ws, raw){
+    const now = Date.now();
+    if (ws.spectator || !sim.player(ws.id)) return;
+    const text = cleanChatText(raw);
+    if (!text) return;
+
+    const until = muted.get(ws.id) || 0;
+    if (until > now) { send(ws, { type: "chat-error", reason: "muted", ms: until - now }); return; }
+    muted.delete(ws.id);
+
+    ws.chatLimit ||= createRateLimiter({ capacity: CHAT_BURST, refillPerSec: CHAT_REFILL_PER_S });
+    if (!ws.chatLimit.take(now)) {
+      ws.chatStrikes = (ws.chatStrikes || 0) + 1;
+      if (ws.chatStrikes >= CHAT_STRIKES_TO_MUTE) {
+        ws.chatStrikes = 0;
+        mute(ws.id, CHAT_AUTO_MUTE_MS);
+        send(ws, { type: "chat-error", reason: "muted", ms: CHAT_AUTO_MUTE_MS });
+      } else {
+        send(ws, { type: "chat-error", reason: "slow down" });
+      }
+      return;
+    }
+
+    const out = JSON.stringify({ type: "chat", id: ws.id, name: ws.name, text: chatFilter(text), ts: now });
+    for (const client of clients) {
+      if (client.readyState !== 1 || client.ignores?.has(ws.id)) continue;
+      try { client.send(out); } catch {}
+    }
+  }
+
+  /** Room-level messages from a joined socket. */
+  function message(ws, msg){
+    if (msg.type === "chat") chat(ws, msg.text);
+    if (msg.type === "ignore" && typeof msg.id === "string") {
+      // per-connection ignore list: we simply stop delivering their chat to this socket
+      ws.ignores ||= new Set();
+      if (msg.on === false) ws.ignores.delete(msg.id); else ws.ignores.add(msg.id);
+    }
+    if (msg.type === "follow" && ws.spectator) {
+      ws.follow = typeof msg.id === "string" ? msg.id : null;
+    }
+    if (msg.type === "herd" && !ws.spectator && conns.get(ws.id)?.ws === ws) {
+      sim.setHerdMode(ws.id, { mode: msg.mode, formation: msg.formation });
+    }
+    if (msg.type === "buy" && !ws.spectator && conns.get(ws.id)?.ws === ws) {
+      sim.buyUpgrade(ws.id, msg.item); // the next snapshot's inventory shows whether it went through
+    }
+    if (msg.type === "input") {
+      // queued and applied in order by the sim; seq is echoed back for reconciliation
+      const input = sanitizeInput(msg);
+      if (input && !ws.spectator && conns.get(ws.id)?.ws === ws) sim.applyInput(ws.id, input);
+    }
+  }
+
+  /**
+   * Hand the player behind `token` to this socket: drop the placeholder
+   * shepherd spawned for it and greet again with the old id/name.
+   */
+  function resumeSession(ws, token){
+    const id = sessions.get(token);
+    const c = id && conns.get(id);
+    if (!c) return restoreDormant(ws, token);
+    if (id === ws.id) return false;
+
+    removePlayer(ws.id);
+    // old socket (other tab or half-open): 4001 tells its client not to reconnect
+    if (c.ws && c.ws !== ws) { clients.delete(c.ws); try { c.ws.close(4001, "session resumed elsewhere"); } catch {} }
+    const p = sim.player(id);
+    ws.id = id;
+    ws.name = p.name;
+    c.ws = ws;
+    c.connected = true;
+    c.graceMs = 0;
+    sim.setActive(id, true); // the new client may restart its input numbering
+    send(ws, { type: "hello", id, name: p.name, token, room: name, world: worldDef, resumed: true });
+    return true;
+  }
+
+  /** A player from the save file came back: turn this socket's fresh shepherd into them. */
+  function restoreDormant(ws, token){
+    const rec = dormant.get(token);
+    const c = conns.get(ws.id);
+    if (!rec || !c) return false;
+    dormant.delete(token);
+
+    sessions.delete(c.token);
+    sessions.set(token, ws.id);
+    c.token = token;
+    ws.name = String(rec.name || ws.name).slice(0,24);
+    sim.removePlayer(ws.id);
+    sim.addPlayer(ws.id, ws.name, rec);
+    send(ws, { type: "hello", id: ws.id, name: ws.name, token, room: name, world: worldDef, resumed: true });
+    return true;
+  }
+
+  /** Drop a shepherd for good; `releaseHerd` leaves their sheep behind as strays. */
+  function removePlayer(id, releaseHerd = false){
+    const c = conns.get(id);
+    if (c) sessions.delete(c.token);
+    conns.delete(id);
+    muted.delete(id);
+    sim.removePlayer(id, releaseHerd);
+  }
+
+  /* ===== Saving ===== */
+  function serializeWorld(){
+    const now = Date.now();
+    const records = [];
+    for (const [id, c] of conns) records.push({ token: c.token, lastSeen: now, ...sim.exportPlayer(id) });
+    for (const rec of dormant.values()) if (now - rec.lastSeen < DORMANT_TTL_MS) records.push(rec);
+    return { seed: WORLD_SEED, code, food: sim.food, strays: sim.exportStrays(), players: records };
+  }
+
+  function save(){
+    try { saveState(stateFile, serializeWorld()); }
+    catch (e) { console.warn(`[store] ${name}: save failed:`, e.message); }
+  }
+
+  /* ===== Room loop: real time in, fixed sim steps out ===== */
+  let last = Date.now();
+  let accumSim = 0;
+  let accumSnap = 0;
+  let accumRoster = 0;
+  let accumBoard = 0;
+  let overruns = 0, worstTickMs = 0, lastOverrunLog = 0;
+
+  /** Run one tick and log (throttled) when it takes longer than TICK_MS. */
+  function timedTick(){
+    const t0 = performance.now();
+    tick();
+    const ms = performance.now() - t0;
+    if (ms <= TICK_MS) return;
+    overruns++;
+    worstTickMs = Math.max(worstTickMs, ms);
+    const now = Date.now();
+    if (now - lastOverrunLog < OVERRUN_LOG_EVERY_MS) return;
+    console.warn(`[tick] ${name}: ${overruns} tick(s) over ${TICK_MS}ms budget, worst ${worstTickMs.toFixed(1)}ms (${sim.players.size} players, ${sim.sheepCount()} sheep, ${sim.wolves.length} wolves)`);
+    lastOverrunLog = now;
+    overruns = 0; worstTickMs = 0;
+  }
+
+  function tick(){
+    const now = Date.now();
+    const dtMs = now - last;
+    last = now;
+    accumSnap += dtMs;
+    accumSim = Math.min(accumSim + dtMs, STEP_MS * MAX_CATCHUP_STEPS);
+
+    // drop disconnected players whose grace period ran out
+    for (const [id, c] of conns) {
+      if (c.connected) continue;
+      c.graceMs -= dtMs;
+      if (c.graceMs > 0) continue;
+      // keep the shepherd so the token can resume later; their herd turns stray
+      const rec = { token: c.token, lastSeen: now, ...sim.exportPlayer(id) };
+      delete rec.herd;
+      dormant.set(c.token, rec);
+      removePlayer(id, true);
+    }
+
+    updateRound(dtMs);
+
+    // the world holds still through the intermission, so it matches the results on screen
+    if (round.phase === "intermission") accumSim = 0;
+    while (accumSim >= STEP_MS) {
+      sim.step(STEP_MS);
+      accumSim -= STEP_MS;
+    }
+    broadcastEffects();
+
+    // broadcast snapshot
+    if (accumSnap >= SNAP_MS) {
+      accumSnap = 0;
+      const full = captureState(now);
+      broadcastSnapshot(full);
+      if (recorder) recorder.record(full);
+    }
+
+    accumRoster += dtMs;
+    if (accumRoster >= ROSTER_EVERY_MS) {
+      accumRoster = 0;
+      for (const client of clients) if (client.spectator) sendRoster(client);
+    }
+
+    accumBoard += dtMs;
+    if (accumBoard >= LEADERBOARD_EVERY_MS) {
+      accumBoard = 0;
+      broadcastLeaderboard();
+    }
+  }
+
+  const tickTimer = setInterval(timedTick, TICK_MS);
+  const saveTimer = setInterval(save, SAVE_EVERY_MS);
+
+  /**
+   * Stop the loop and write the world out (room is being torn down); resolves
+   * once its replay file is closed. Later calls just return the same promise.
+   */
+  let stopped = null;
+  function stop(){
+    if (stopped) return stopped;
+    clearInterval(tickTimer);
+    clearInterval(saveTimer);
+    save();
+    stopped = recorder ? recorder.close() : Promise.resolve();
+    return stopped;
+  }
+
+  return {
+    name,
+    join,
+    leave,
+    message,
+    save,
+    stop,
+    mute,
+    unmute,
+    get private(){ return !!code; },
+    get online(){ return onlineCount(); },
+    get clientCount(){ return clients.size; },
+    get seed(){ return WORLD_SEED; }
+  };
+}
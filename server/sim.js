@@ -0,0 +1,1209 @@
+// server/sim.js
+// Headless, deterministic game simulation: shepherds, herds, food and
+// wolves. No sockets, no wall clock and no Math.random — every random
+// choice comes from a seeded RNG and time only advances through step(dt),
+// so the same seed + the same calls reproduce the same world exactly.
+// room.js drives it with a fixed timestep and handles everything network.
+
+import { createWorldDef, buildWorld, tileKey } from "../shared/world.js";
+import { createRng } from "../shared/rng.js";
+import { movePlayer, ACTION_COOLDOWN_MS, BARK_RADIUS_TILES, HERD_MODES, FORMATIONS, FORMATION_SCALE, DOG_EARN_SHEEP,
+         SHEAR_RADIUS_TILES, atMarket, WOOL_PRICE, UPGRADES, UPGRADE_KEYS } from "../shared/player.js";
+import { quantizePos, WOLF_STATES, DOG_STATES, SHEEP_STAGES, SHEEP_COATS } from "../shared/snapshot.js";
+import { createSpatialHash } from "./spatial.js";
+import { createPathfinder } from "./pathfind.js";
+
+/* ===== WORLD CONFIG (shared with client via hello) ===== */
+export const TILE  = 20;
+export const WORLD = 200;
+
+// fixed simulation step; room.js runs as many per tick as real time calls for
+export const STEP_MS = 66;
+
+// player speed + movement live in shared/player.js so clients can predict
+const MAX_QUEUED_INPUTS = 32;  // inputs buffered per player between steps
+// inputs carry their own dt, so movement is paid for out of elapsed server
+// time: each step adds STEP_MS to a player's budget, up to this cap (slack
+// for inputs that arrive bunched up), and moves past it are cut short
+const MOVE_BUDGET_CAP_MS = STEP_MS * 4;
+
+/* ===== FOOD ===== */
+const FOOD_PATCH_COUNT = 140;
+const FOOD_RESPAWN_EVERY_MS = 1500;
+
+/* ===== SHEEP / WOLVES SIM ===== */
+const FOLLOW_SPEED   = TILE * 14.0;
+const SEEK_SPEED     = TILE * 13.0;
+const BLEND_RATE_S   = 9.0;
+const STOP_DECAY_S   = 7.0;
+const OFFSET_RADIUS  = TILE * 1.2;
+const SEP_RADIUS     = TILE * 1.0;
+const SEP_PUSH       = TILE * 60;
+const SEEK_TILES     = 5;
+const FLOW_MAX_TILES = 60;  // how far (in steps) a herd's path-to-shepherd field reaches
+
+const GRAZE_RADIUS    = TILE * 6;   // graze mode: sheep keep within this of where they were told
+const GRAZE_AMBLE_SPEED = TILE * 1.2;
+const GRAZE_TURN_S    = 2.0;        // amble heading jitter (rad/s)
+const GATHER_MS       = 2500;       // a gather call brings the herd back to heel for this long
+const GATHER_SETTLE   = TILE * 0.3; // ...stopping once a sheep is about on its spot
+
+const MEALS_TO_BREED    = 3;
+const BREED_READY       = MEALS_TO_BREED - 0.5; // hunger drains, so "well fed" is a little under full
+const BREED_COST        = 2;                    // meals each parent spends on a lamb
+const BREED_COOLDOWN_MS = 8000;
+
+/* ===== Sheep life cycle ===== */
+// `full` (meals) drains over time; a sheep that sits at zero for STARVE_MS
+// starves. Sheep grow from lamb to adult to elder (only adults breed) and
+// die of old age somewhere around LIFESPAN_MS.
+const HUNGER_DRAIN_PER_S = MEALS_TO_BREED / 180; // a full sheep is empty after three minutes
+const START_FULL  = MEALS_TO_BREED / 2;          // new sheep (and lambs) start half fed
+const STARVE_MS   = 30000;
+const LAMB_MS     = 60000;    // lambs grow up after a minute...
+const ELDER_MS    = 480000;   // ...get old after eight...
+const LIFESPAN_MS = 600000;   // ...and die at about ten (±20%)
+const STAGE_PACE  = { lamb: 0.9, adult: 1, elder: 0.7 }; // speed factor per life stage
+
+/* ===== Sheep traits ===== */
+// whole numbers, so they go on the wire as they are: speed and appetite in %
+// of normal, wool quality and wolf awareness 0-100, coat an index into
+// SHEEP_COATS. A lamb gets a random blend of its parents' traits, nudged by
+// up to TRAIT_MUTATION, and one parent's coat (rarely a new one).
+const TRAIT_RANGES = { speed: [80, 120], appetite: [70, 130], wool: [0, 100], awareness: [0, 100] };
+const TRAIT_MUTATION = 6;
+const COAT_MUTATION_CHANCE = 0.05;
+const WHITE_COAT_CHANCE = 0.6;      // wild / starting sheep are mostly white
+const WOLF_WARY_RADIUS = TILE * 6;  // a fully aware sheep shies from wolves this close
+const WOLF_WARY_PUSH = TILE * 10;
+
+/* ===== Wolves tuning ===== */
+// each wolf roams (on the scent of the nearest herd), stalks prey it can
+// see while hidden in the glen, breaks into a chase when close (or caught
+// in the open) until its stamina runs out, and flees any shepherd who gets
+// near. Packs share one prey, pack mates circling out to its flanks.
+const WOLF_MAX = 4;                 // soft cap (a pack may go a little over)
+const WOLF_SPAWN_CHANCE = 0.05;     // spawn chance per step
+const WOLF_PACK_CHANCE = 0.35;      // chance a spawn is a pack of 2-3
+const WOLF_LIFE_MS = 20000;         // base lifetime in ms
+const WOLF_CATCH_RADIUS = TILE * 0.6;
+const WOLF_SENSE_RADIUS = TILE * 30;    // sees sheep this close
+const WOLF_POUNCE_RADIUS = TILE * 7;    // a stalking wolf sprints from this close
+const WOLF_SHEPHERD_RADIUS = TILE * 3;  // and bolts from a shepherd this close
+const WOLF_FLEE_MS = 2500;
+const WOLF_BARK_FLEE_MS = 4000;     // a bark scares them off for longer
+const WOLF_BARK_SHOVE = TILE * 1.5; // and knocks them back up to this far
+const WOLF_CHASE_MS = 5000;         // a full sprint lasts this long...
+const WOLF_RECOVER_MS = 8000;       // ...and takes this long to get back
+const WOLF_MIN_CHASE_STAMINA = 0.35;
+const WOLF_FLANK_RADIUS = TILE * 4; // pack mates come in this far off to either side
+const WOLF_WANDER_S = 2.5;          // roaming heading jitter (rad/s)
+const WOLF_REPATH_MS = 1000;        // re-plan a detour at least this often
+const WOLF_PATH_NODES = 20000;      // A* expansion budget per plan
+
+/* ===== Wool & trading ===== */
+// sheep past the lamb stage grow a fleece over WOOL_GROW_MS; shearing a full
+// one gives 1 wool, +1 for good wool and +1 per level of sharp shears. Wool
+// sells at the trading post (shared/player.js has prices and upgrades).
+const WOOL_GROW_MS = 60000;
+const WOOL_BONUS_AT = 60;     // wool quality (trait) that yields the extra wool
+const SALT_HUNGER_CUT = 0.2;  // salt lick: herd gets hungry this much slower per level
+const BELL_AWARENESS = 25;    // bell: added to each sheep's wolf awareness per level
+
+/* ===== Strays ===== */
+// ownerless sheep: a leaving shepherd's herd, plus the odd wild one on the
+// pasture. They graze around where they turned up until a shepherd walks
+// close enough to take them in.
+const STRAY_WILD_MAX = 12;          // wild ones stop turning up at this many strays
+const STRAY_SPAWN_EVERY_MS = 15000;
+const STRAY_ROAM_RADIUS = TILE * 6;
+const RECRUIT_RADIUS = TILE * 2;
+
+/* ===== Rustling ===== */
+// opt-in (createWorld({ rustling })): a sheep that has wandered this far from
+// its shepherd while a rival stands closer goes over to the rival, once that
+// has lasted RUSTLE_MS. Only a rival working near the victim (their shepherd
+// or their herd's centre) can do it, not one across the map.
+const RUSTLE_DIST = TILE * 8;
+const RUSTLE_REACH = TILE * 16;
+const RUSTLE_MS = 3000;
+
+/* ===== Sheepdog ===== */
+// earned at DOG_EARN_SHEEP (shared/player.js) and kept until the round resets:
+// it circles the herd, fetches sheep that wander off and heads off wolves
+const DOG_SPEED = TILE * 12;
+const DOG_ORBIT_GAP = TILE * 2;       // circles this far outside the herd
+const DOG_ORBIT_MAX = TILE * 8;       // (however spread out the herd is)
+const DOG_ORBIT_RATE = 1.2;           // rad/s
+const DOG_GUARD_RADIUS = TILE * 8;    // runs at wolves this close to the herd...
+const DOG_BLOCK_RADIUS = TILE * 1.2;  // ...and turns them back from this close
+const DOG_BLOCK_FLEE_MS = 1500;
+const DOG_STRAY_DIST = TILE * 7;      // following sheep this far from the shepherd get fetched
+const DOG_NUDGE_RADIUS = TILE * 1.5;  // sheep shy away from a fetching dog this close
+const DOG_NUDGE_PUSH = TILE * 10;
+
+/** Wolf speed in each state (tiles/second); createWorld({ wolfSpeeds }) overrides any of them. */
+export const WOLF_SPEEDS = Object.freeze({ roam: 3.5, stalk: 2.5, chase: 10.5, flee: 9.0 });
+
+// spatial hash cell: a few tiles, so food seek / separation / capture touch ~1-9 cells
+const SPATIAL_CELL = TILE * 4;
+
+const IDLE = Object.freeze({up:false,down:false,left:false,right:false});
+
+const blendFactor = (k, dt)=> 1 - Math.exp(-Math.max(0,k)*dt);
+function normTo(vx,vy,mag){ const d=Math.hypot(vx,vy)||1; const s=mag/d; return {vx:vx*s,vy:vy*s}; }
+
+/** Closest food tile to a pixel position within maxTiles (measured tile to tile). */
+function nearestPatchInTiles(foodIndex, xPx, yPx, maxTiles){
+  const tx0 = Math.floor(xPx / TILE), ty0 = Math.floor(yPx / TILE);
+  const found = foodIndex.nearest(tx0*TILE + TILE/2, ty0*TILE + TILE/2, maxTiles*TILE);
+  if (!found) return null;
+  return { tx: found.item.tx, ty: found.item.ty, distTiles: Math.sqrt(found.d2) / TILE };
+}
+
+/**
+ * Create a simulated world from `seed` (layout and, unless `rngSeed` is
+ * given, every random choice). `food` restores a saved list of food tiles
+ * and `strays` saved strays (as exportStrays gives); `wolfSpeeds` overrides
+ * some of WOLF_SPEEDS. `rustling` lets shepherds steal each other's sheep.
+ */
+export function createWorld({ seed, rngSeed = seed, food = null, strays: savedStrays = null, wolfSpeeds = null, rustling = false }){
+  const def   = createWorldDef({ TILE, WORLD, seed });
+  const world = buildWorld(def);
+  const { cx, cy, ringAt, canWalk } = world;
+  const rng   = createRng(rngSeed);
+  const paths = createPathfinder(world);
+  const wolfSpeed = { ...WOLF_SPEEDS };
+  for (const k in wolfSpeed) if (wolfSpeeds && Number(wolfSpeeds[k]) > 0) wolfSpeed[k] = Number(wolfSpeeds[k]);
+
+  /* ===== State ===== */
+  const players = new Map();  // id -> {id,name,x,y,held,inputs,lastSeq,moveBudgetMs,active,stats,cooldowns,gatherMs,herdMode,formation,grazeAt,dog,inv,upgrades}
+  const herds   = new Map();  // id -> [{id,x,y,vx,vy,full,cd,ox,oy,phase,rustleBy,rustleMs}]
+  const strays  = [];         // ownerless sheep: herd fields + home {x,y} they graze around
+  let wolves    = [];         // [{x,y,vx,vy,state,pack,slot,stamina,life,kills,...}] (see spawnWolf)
+  const foodPatches = new Set();
+  let foodRespawnTimer = 0;
+  let straySpawnTimer = 0;
+  let nextPackId = 1;
+  let nextSheepId = 1;        // stable sheep ids so snapshots can be delta-encoded
+  let time = 0;               // simulated ms since creation
+  const events = [];          // {kind:"bark"|"gather"|"shear"|"sell"|"stolen", id, x, y[, from]} since the last takeEvents()
+
+  // spatial indexes: food is kept in sync as tiles come and go; sheep and
+  // wolves move every step, so those two are rebuilt when queried
+  const foodIndex  = createSpatialHash(SPATIAL_CELL);
+  const foodItems  = new Map(); // tile key -> {tx,ty,x,y} in foodIndex
+  const sheepIndex = createSpatialHash(SPATIAL_CELL); // {herdId, ref, x, y}
+  const wolfIndex  = createSpatialHash(SPATIAL_CELL); // wolf objects
+  const flowFields = new Map(); // herd id -> {field, goal}: step distances to the shepherd's tile
+
+  /* ===== FOOD ===== */
+  function createFoodPatches(n) {
+    const set = new Set();
+    let guard = 0;
+    while (set.size < n && guard < n*50) {
+      guard++;
+      const x = rng.int(WORLD);
+      const y = rng.int(WORLD);
+      if (ringAt(x,y) !== "pasture") continue;
+      set.add(tileKey(x,y));
+    }
+    return set;
+  }
+
+  function addFood(key){
+    if (foodPatches.has(key)) return;
+    const [xs, ys] = key.split(",");
+    const tx = +xs, ty = +ys;
+    const item = { tx, ty, x: tx*TILE + TILE/2, y: ty*TILE + TILE/2 };
+    foodPatches.add(key);
+    foodItems.set(key, item);
+    foodIndex.insert(item);
+  }
+  function eatFood(key){
+    if (!foodPatches.delete(key)) return;
+    foodIndex.remove(foodItems.get(key));
+    foodItems.delete(key);
+  }
+
+  if (Array.isArray(food)) {
+    for (const key of food) {
+      const [xs, ys] = String(key).split(",");
+      if (ringAt(+xs, +ys) === "pasture") addFood(tileKey(+xs, +ys));
+    }
+  } else {
+    for (const key of createFoodPatches(FOOD_PATCH_COUNT)) addFood(key);
+  }
+
+  /** Rebuild the sheep index from current positions (`huntable` = only herds wolves may take); strays have herdId null. */
+  function indexSheep(huntable){
+    sheepIndex.clear();
+    for (const [id, flock] of herds) {
+      if (huntable && !players.get(id)?.active) continue; // guarded while the owner reconnects
+      for (const s of flock) sheepIndex.insert({ herdId: id, ref: s, x: s.x, y: s.y });
+    }
+    for (const s of strays) sheepIndex.insert({ herdId: null, ref: s, x: s.x, y: s.y });
+  }
+  function indexWolves(){
+    wolfIndex.clear();
+    for (const w of wolves) wolfIndex.insert(w);
+  }
+
+  /* Helpers */
+  function spawnOnPasture(){
+    // near outer pasture ring
+    for (let g=0; g<2000; g++){
+      const x = rng.int(WORLD);
+      const y = rng.int(WORLD);
+      if (ringAt(x,y)==="pasture") return {x,y};
+    }
+    // walk outward on +Y until we hit pasture
+    let fx = cx, fy = cy;
+    for (let i = 0; i < WORLD; i++) {
+      if (ringAt(fx, fy) === "pasture") return { x: fx, y: fy };
+      fy++;
+    }
+    return { x: cx, y: Math.min(WORLD-2, cy + world.edges.water + 1) }; // final safety
+  }
+  /** Put s at its offset from (px,py), or right on (px,py) if that spot is across water. */
+  function placeSheep(s, px, py){
+    const x = px + s.ox, y = py + s.oy;
+    if (paths.lineClear(px, py, x, y)) { s.x = x; s.y = y; }
+    else { s.x = px; s.y = py; }
+  }
+  /** Give s a random personal offset (its spot around the shepherd). */
+  function pickOffset(s){
+    const ang = rng.next()*Math.PI*2;
+    const r   = OFFSET_RADIUS*(0.6+rng.next()*0.8);
+    s.ox = Math.cos(ang)*r; s.oy = Math.sin(ang)*r;
+  }
+  /** New sheep at a random personal offset around (px,py); `age` 0 is a newborn lamb. */
+  function createSheep(px, py, age = LAMB_MS, traits = randomTraits()){
+    const s = { id: nextSheepId++, x:px, y:py, vx:0, vy:0, full:START_FULL, cd:0, ox:0, oy:0, phase:0, age, starveMs:0, lifespan:0, traits, wool:0 };
+    pickOffset(s);
+    s.phase = rng.next()*6.28;
+    s.lifespan = LIFESPAN_MS*(0.8+rng.next()*0.4);
+    placeSheep(s, px, py);
+    return s;
+  }
+  /** Bring back a saved sheep's hunger, cooldown, age, fleece and traits (old saves: adults, traits kept as rolled). */
+  function restoreSheep(s, h){
+    s.full = Math.min(MEALS_TO_BREED, Math.max(0, Number(h.full) || 0));
+    s.cd = h.cd|0;
+    s.age = Number(h.age) >= 0 ? Number(h.age) : LAMB_MS;
+    s.wool = Math.min(1, Math.max(0, Number(h.wool) || 0));
+    if (h.traits) {
+      for (const k in TRAIT_RANGES) if (Number.isFinite(h.traits[k])) s.traits[k] = clampTrait(k, h.traits[k]);
+      if (SHEEP_COATS[h.traits.coat]) s.traits.coat = h.traits.coat;
+    }
+  }
+
+  /* ===== Sheep traits ===== */
+  const clampTrait = (k, v) => Math.max(TRAIT_RANGES[k][0], Math.min(TRAIT_RANGES[k][1], Math.round(v)));
+
+  function randomTraits(){
+    const t = {};
+    for (const k in TRAIT_RANGES) { const [lo, hi] = TRAIT_RANGES[k]; t[k] = clampTrait(k, lo + rng.next()*(hi - lo)); }
+    t.coat = rng.next() < WHITE_COAT_CHANCE ? 0 : 1 + rng.int(SHEEP_COATS.length - 1);
+    return t;
+  }
+
+  /** A lamb's traits from its parents' (see TRAIT_MUTATION). */
+  function inheritTraits(a, b){
+    const t = {};
+    for (const k in TRAIT_RANGES) {
+      const mix = rng.next();
+      t[k] = clampTrait(k, a[k]*mix + b[k]*(1 - mix) + (rng.next()*2 - 1)*TRAIT_MUTATION);
+    }
+    t.coat = rng.next() < COAT_MUTATION_CHANCE ? rng.int(SHEEP_COATS.length) : rng.next() < 0.5 ? a.coat : b.coat;
+    return t;
+  }
+
+  /** Speed factor for s: its life stage times its speed trait. */
+  const sheepPace = (s) => STAGE_PACE[sheepStage(s)] * s.traits.speed / 100;
+
+  /** Push (px/s) away from wolves within s's awareness (+ `extra`) range; zero for an oblivious sheep. */
+  function wolfShy(s, extra = 0){
+    const radius = WOLF_WARY_RADIUS * Math.min(100, s.traits.awareness + extra) / 100;
+    let vx = 0, vy = 0;
+    if (radius < 1) return { vx, vy };
+    wolfIndex.forEachNear(s.x, s.y, radius, (w) => {
+      const dx = s.x - w.x, dy = s.y - w.y, d = Math.hypot(dx, dy);
+      if (d < 1e-6 || d >= radius) return;
+      const push = WOLF_WARY_PUSH * (1 - d / radius);
+      vx += dx/d * push; vy += dy/d * push;
+    });
+    return { vx, vy };
+  }
+
+  /* ===== Sheep life cycle ===== */
+  const sheepStage = (s) => s.age < LAMB_MS ? "lamb" : s.age < ELDER_MS ? "adult" : "elder";
+
+  /** Hunger (scaled by `hunger`), age and fleece for one step; true when s has starved or died of old age. */
+  function liveSheep(s, dtMs, hunger = 1){
+    s.age += dtMs;
+    s.full = Math.max(0, s.full - HUNGER_DRAIN_PER_S * s.traits.appetite / 100 * hunger * dtMs / 1000);
+    if (sheepStage(s) !== "lamb") s.wool = Math.min(1, s.wool + dtMs / WOOL_GROW_MS);
+    s.starveMs = s.full > 0 ? 0 : s.starveMs + dtMs;
+    return s.starveMs >= STARVE_MS || s.age >= s.lifespan;
+  }
+
+  /* ===== Strays ===== */
+  function addStray(s){
+    s.home = { x: s.x, y: s.y };
+    s.vx = 0; s.vy = 0;
+    s.rustleBy = null;
+    strays.push(s);
+  }
+  function spawnWildStray(){
+    const t = spawnOnPasture();
+    addStray(createSheep(t.x*TILE + TILE/2, t.y*TILE + TILE/2));
+  }
+  if (Array.isArray(savedStrays)) {
+    for (const h of savedStrays) {
+      const x = Number(h.x), y = Number(h.y);
+      if (!paths.open(Math.floor(x / TILE), Math.floor(y / TILE))) continue;
+      const s = createSheep(x, y);
+      s.x = x; s.y = y;
+      restoreSheep(s, h);
+      addStray(s);
+    }
+  }
+
+  /** Strays graze and amble around their home spot, on their own (and age and go hungry like any sheep). */
+  function updateStrays(dt, dtMs){
+    const alpha = blendFactor(BLEND_RATE_S, dt);
+    for (let i = strays.length - 1; i >= 0; i--) {
+      const s = strays[i];
+      const to = grazeVelocity(s, s.home, dt, STRAY_ROAM_RADIUS);
+      const pace = sheepPace(s), shy = wolfShy(s);
+      s.vx = s.vx + (to.vx * pace + shy.vx - s.vx) * alpha;
+      s.vy = s.vy + (to.vy * pace + shy.vy - s.vy) * alpha;
+      paths.slideMove(s, s.vx * dt, s.vy * dt);
+      s.phase += dt * 0.9;
+      const key = tileKey(Math.floor(s.x / TILE), Math.floor(s.y / TILE));
+      if (s.full < MEALS_TO_BREED && foodPatches.has(key)) { eatFood(key); s.full = Math.min(MEALS_TO_BREED, s.full + 1); }
+      s.cd = Math.max(0, s.cd - dtMs);
+      if (liveSheep(s, dtMs)) strays.splice(i, 1);
+    }
+  }
+
+  /** Strays within RECRUIT_RADIUS of shepherd p join their flock. */
+  function recruitStrays(p, flock, px, py){
+    for (let i = strays.length - 1; i >= 0; i--) {
+      const s = strays[i];
+      if (Math.hypot(s.x - px, s.y - py) > RECRUIT_RADIUS) continue;
+      strays.splice(i, 1);
+      delete s.home;
+      pickOffset(s);
+      flock.push(s);
+    }
+  }
+
+  /* ===== Rustling ===== */
+  /**
+   * Sheep far from their own (active) shepherd and nearer a rival count up
+   * toward switching; one that gets back in range, or to whom another rival
+   * is now closest, starts over. Owners who are away keep their herd.
+   */
+  function rustleSheep(dtMs){
+    const shepherds = [];
+    for (const p of players.values()) if (p.active) shepherds.push({ p, x: p.x*TILE + TILE/2, y: p.y*TILE + TILE/2 });
+    if (shepherds.length < 2) return;
+    for (const own of shepherds) {
+      const flock = herds.get(own.p.id);
+      if (!flock || !flock.length) continue;
+      let cx = 0, cy = 0;
+      for (const s of flock) { cx += s.x; cy += s.y; }
+      cx /= flock.length; cy /= flock.length;
+      const near = shepherds.filter(o => o !== own &&
+        Math.min(Math.hypot(o.x - own.x, o.y - own.y), Math.hypot(o.x - cx, o.y - cy)) <= RUSTLE_REACH);
+      for (let i = flock.length - 1; i >= 0; i--) {
+        const s = flock[i];
+        let rival = null, best = Math.hypot(s.x - own.x, s.y - own.y);
+        if (best > RUSTLE_DIST) {
+          for (const o of near) {
+            const d = Math.hypot(s.x - o.x, s.y - o.y);
+            if (d < best) { best = d; rival = o; }
+          }
+        }
+        if (!rival) { s.rustleBy = null; continue; }
+        if (s.rustleBy !== rival.p.id) { s.rustleBy = rival.p.id; s.rustleMs = 0; }
+        s.rustleMs += dtMs;
+        if (s.rustleMs < RUSTLE_MS) continue;
+
+        flock.splice(i, 1);
+        s.rustleBy = null;
+        pickOffset(s);
+        const theirs = herds.get(rival.p.id);
+        theirs.push(s);
+        rival.p.stats.peak = Math.max(rival.p.stats.peak, theirs.length);
+        events.push({ kind: "stolen", id: rival.p.id, from: own.p.id, x: Math.round(s.x), y: Math.round(s.y) });
+      }
+    }
+  }
+
+  /** Saved hunger, cooldown, age, fleece and traits of a sheep (see restoreSheep). */
+  function exportSheep(s){
+    return { full: +s.full.toFixed(2), cd: Math.max(0, s.cd|0), age: Math.round(s.age), wool: +s.wool.toFixed(3), traits: { ...s.traits } };
+  }
+
+  /** Saved form of the strays, for createWorld({ strays }). */
+  function exportStrays(){
+    return strays.map(s => ({ x: Math.round(s.x), y: Math.round(s.y), ...exportSheep(s) }));
+  }
+
+  function createDog(px, py){
+    return { x: px, y: py, state: "circle", angle: rng.next()*Math.PI*2, fetching: null };
+  }
+
+  /* ===== Players ===== */
+
+  /** Per-shepherd score counters (aliveMs = simulated time spent in the world, active). */
+  function freshStats(){
+    return { peak: 0, lambs: 0, meals: 0, lost: 0, died: 0, aliveMs: 0 }; // lost: to wolves; died: hunger or age
+  }
+  const freshUpgrades = () => Object.fromEntries(UPGRADE_KEYS.map(k => [k, 0]));
+
+  /**
+   * Put a shepherd in the world. Without `from` they spawn on pasture with
+   * two sheep; `from` ({x,y,herd:[{full,cd,age,wool,traits,ox,oy}],stats,mode,
+   * formation,dog,inv,upgrades}, as exportPlayer gives) brings a saved
+   * shepherd, flock, dog, score and inventory back.
+   */
+  function addPlayer(id, name, from = null){
+    const spawn = spawnOnPasture();
+    const p = { id, name, x: spawn.x, y: spawn.y, held: IDLE, inputs: [], lastSeq: 0, moveBudgetMs: 0, active: true, stats: freshStats(),
+                cooldowns: { bark: 0, gather: 0, shear: 0 }, gatherMs: 0, herdMode: "follow", formation: "normal", grazeAt: null,
+                dog: null, inv: { wool: 0, coins: 0 }, upgrades: freshUpgrades() };
+    if (from && from.stats) for (const k in p.stats) p.stats[k] = Math.max(0, Number(from.stats[k]) || 0);
+    if (from && from.inv) for (const k in p.inv) p.inv[k] = Math.max(0, Math.floor(Number(from.inv[k]) || 0));
+    if (from && from.upgrades) for (const k of UPGRADE_KEYS) p.upgrades[k] = Math.max(0, Math.min(UPGRADES[k].costs.length, Number(from.upgrades[k])|0));
+    if (from && canWalk(Math.floor(from.x), Math.floor(from.y))) { p.x = from.x; p.y = from.y; }
+    players.set(id, p);
+    if (from) setHerdMode(id, { mode: from.mode, formation: from.formation });
+
+    const px = p.x*TILE + TILE/2, py = p.y*TILE + TILE/2;
+    const flock = [];
+    if (from && Array.isArray(from.herd)) {
+      for (const h of from.herd) {
+        const s = createSheep(px, py);
+        if (Number.isFinite(h.ox) && Number.isFinite(h.oy)) { s.ox = h.ox; s.oy = h.oy; } // else keep its fresh spot
+        placeSheep(s, px, py);
+        restoreSheep(s, h);
+        flock.push(s);
+      }
+    } else {
+      for (let i=0;i<2;i++) flock.push(createSheep(px, py));
+    }
+    herds.set(id, flock);
+    p.stats.peak = Math.max(p.stats.peak, flock.length);
+    if (from && from.dog) p.dog = createDog(px, py);
+    return p;
+  }
+
+  /**
+   * Fresh round: wolves gone, food regrown, every shepherd back on the
+   * pasture with two sheep and zeroed stats (input numbering is kept so
+   * clients' prediction carries on).
+   */
+  function resetRound(){
+    wolves = [];
+    indexWolves();
+    strays.length = 0;
+    straySpawnTimer = 0;
+    for (const key of [...foodPatches]) eatFood(key);
+    for (const key of createFoodPatches(FOOD_PATCH_COUNT)) addFood(key);
+    foodRespawnTimer = 0;
+    for (const [id, p] of players) {
+      const spawn = spawnOnPasture();
+      p.x = spawn.x; p.y = spawn.y;
+      p.stats = freshStats();
+      p.cooldowns = { bark: 0, gather: 0, shear: 0 };
+      p.inv = { wool: 0, coins: 0 };
+      p.upgrades = freshUpgrades();
+      p.gatherMs = 0;
+      p.herdMode = "follow";
+      p.dog = null;
+      const px = p.x*TILE + TILE/2, py = p.y*TILE + TILE/2;
+      const flock = [];
+      for (let i=0;i<2;i++) flock.push(createSheep(px, py));
+      herds.set(id, flock);
+      p.stats.peak = flock.length;
+    }
+  }
+
+  /** Take a shepherd out; with `releaseHerd` their sheep stay behind as strays. */
+  function removePlayer(id, releaseHerd = false){
+    if (releaseHerd) for (const s of herds.get(id) || []) addStray(s);
+    players.delete(id);
+    herds.delete(id);
+    flowFields.delete(id);
+  }
+
+  /**
+   * Inactive shepherds (owner disconnected) stand still, their flock is
+   * frozen and wolves ignore it. Either way pending inputs are dropped and
+   * input numbering restarts, since a returning client may count from 1.
+   */
+  function setActive(id, active){
+    const p = players.get(id);
+    if (!p) return;
+    p.active = active;
+    p.held = IDLE;
+    p.gatherMs = 0;
+    p.inputs.length = 0;
+    p.lastSeq = 0;
+  }
+
+  /** Herd command: a mode from HERD_MODES and/or a formation from FORMATIONS (anything else is ignored). */
+  function setHerdMode(id, { mode, formation } = {}){
+    const p = players.get(id);
+    if (!p) return false;
+    if (HERD_MODES.includes(mode)) {
+      p.herdMode = mode;
+      p.grazeAt = { x: p.x*TILE + TILE/2, y: p.y*TILE + TILE/2 }; // graze around here
+    }
+    if (FORMATIONS.includes(formation)) p.formation = formation;
+    return true;
+  }
+
+  /** Queue a sanitized input ({seq, held, dt, action}); false if stale, unknown player or queue full. */
+  function applyInput(id, input){
+    const p = players.get(id);
+    if (!p || !p.active) return false;
+    if (input.seq !== 0 && input.seq <= p.lastSeq) return false;
+    if (p.inputs.length >= MAX_QUEUED_INPUTS) return false;
+    p.inputs.push(input);
+    return true;
+  }
+
+  /** Saved form of a shepherd + flock, for addPlayer(id, name, from). */
+  function exportPlayer(id){
+    const p = players.get(id);
+    if (!p) return null;
+    return {
+      name: p.name, x: +p.x.toFixed(3), y: +p.y.toFixed(3), stats: { ...p.stats }, mode: p.herdMode, formation: p.formation, dog: !!p.dog,
+      inv: { ...p.inv }, upgrades: { ...p.upgrades },
+      herd: (herds.get(id) || []).map(s => ({ ...exportSheep(s), ox: +s.ox.toFixed(2), oy: +s.oy.toFixed(2) }))
+    };
+  }
+
+  /* Wolves: spawn in the glen, alone or as a pack of 2-3 */
+  function newWolf(tx, ty, pack, slot){
+    return {
+      x:tx*TILE+TILE/2,
+      y:ty*TILE+TILE/2,
+      vx:0, vy:0,
+      state: "roam",
+      pack, slot,                 // pack id (0 = lone wolf); slot 0 leads
+      stamina: 1,                 // 0..1, spent sprinting
+      heading: rng.next()*Math.PI*2,
+      fleeMs: 0, fleeFrom: null,
+      leaving: false,             // made a kill: runs off, then despawns
+      life: WOLF_LIFE_MS,
+      kills: 0,
+      path: null, pathAt: 0, pathGoal: -1, repathMs: 0, // detour around water (see wolfWaypoint)
+    };
+  }
+  function spawnWolf(){
+    // try to place on a walkable glen tile (the dark ring is impassable)
+    const inGlen = (x, y) => ringAt(x,y)==="glen" && canWalk(x,y);
+    for (let g=0; g<1000; g++){
+      const x = rng.int(WORLD);
+      const y = rng.int(WORLD);
+      if (!inGlen(x,y)) continue;
+      const size = rng.next() < WOLF_PACK_CHANCE ? 2 + rng.int(2) : 1;
+      const pack = size > 1 ? nextPackId++ : 0;
+      for (let slot=0; slot<size; slot++) {
+        // pack mates start a tile or two from the leader
+        let wx = x, wy = y;
+        for (let t=0; t<8 && slot>0; t++) {
+          const nx = x + rng.int(5) - 2, ny = y + rng.int(5) - 2;
+          if (inGlen(nx,ny)) { wx = nx; wy = ny; break; }
+        }
+        wolves.push(newWolf(wx, wy, pack, slot));
+      }
+      return;
+    }
+  }
+
+  /**
+   * Pixel point a wolf should head for to reach tile (gx,gy) when water is
+   * in the way: the next tile of an A* path (so it runs for the nearest
+   * bridge), re-planned when the prey moves off or the plan gets old.
+   * null when there is no way there.
+   */
+  function wolfWaypoint(w, gx, gy, dtMs){
+    const wx = Math.floor(w.x / TILE), wy = Math.floor(w.y / TILE);
+    const goal = gy*WORLD + gx;
+    const moved = w.pathGoal < 0 || Math.abs(gx - w.pathGoal % WORLD) + Math.abs(gy - Math.floor(w.pathGoal / WORLD)) > 2;
+    w.repathMs -= dtMs;
+    if (moved || w.repathMs <= 0) {
+      w.path = paths.findPath(wx, wy, gx, gy, WOLF_PATH_NODES);
+      w.pathAt = 0;
+      w.pathGoal = goal;
+      w.repathMs = WOLF_REPATH_MS;
+    }
+    if (!w.path) return null;
+    // skip past the tile we're on (looking a few ahead in case we cut a corner)
+    const here = wy*WORLD + wx;
+    for (let k = w.pathAt; k < Math.min(w.path.length, w.pathAt + 4); k++) {
+      if (w.path[k] === here) { w.pathAt = k + 1; break; }
+    }
+    return w.pathAt < w.path.length ? paths.center(w.path[w.pathAt]) : null;
+  }
+
+  /** Closest active shepherd (pixel position) within WOLF_SHEPHERD_RADIUS of (x,y), or null. */
+  function shepherdNear(x, y){
+    let best = null, bd = WOLF_SHEPHERD_RADIUS;
+    for (const p of players.values()) {
+      if (!p.active) continue;
+      const px = p.x*TILE + TILE/2, py = p.y*TILE + TILE/2;
+      const d = Math.hypot(px - x, py - y);
+      if (d < bd) { bd = d; best = { x: px, y: py }; }
+    }
+    return best;
+  }
+
+  /** Where a pack mate aims: out to one side of the prey until it is close, then straight in. */
+  function flankPoint(w, prey){
+    if (!w.pack || w.slot === 0) return prey;
+    const dx = prey.x - w.x, dy = prey.y - w.y, d = Math.hypot(dx, dy) || 1;
+    if (d < WOLF_FLANK_RADIUS * 1.2) return prey;
+    const side = w.slot % 2 ? 1 : -1;
+    const fx = prey.x - dy/d*WOLF_FLANK_RADIUS*side, fy = prey.y + dx/d*WOLF_FLANK_RADIUS*side;
+    return paths.open(Math.floor(fx / TILE), Math.floor(fy / TILE)) ? { x: fx, y: fy } : prey;
+  }
+
+  /** Point to head for to reach `to`: itself in plain sight, else the next tile of a detour (null: no way). */
+  function steerWolf(w, to, dtMs){
+    if (paths.lineClear(w.x, w.y, to.x, to.y)) return to;
+    return wolfWaypoint(w, Math.floor(to.x / TILE), Math.floor(to.y / TILE), dtMs);
+  }
+
+  /** Scare wolf w off from (x,y) for a while. */
+  function flee(w, x, y, ms = WOLF_FLEE_MS){
+    w.state = "flee";
+    w.fleeMs = Math.max(w.fleeMs, ms);
+    w.fleeFrom = { x, y };
+  }
+
+  /**
+   * Shepherd action, if off cooldown: a bark knocks back and scares off
+   * every wolf in BARK_RADIUS_TILES; a gather calls the herd to heel; a
+   * shear clips the full fleeces close by.
+   */
+  function act(p, action){
+    if (p.cooldowns[action] > 0) return;
+    p.cooldowns[action] = ACTION_COOLDOWN_MS[action];
+    const px = p.x*TILE + TILE/2, py = p.y*TILE + TILE/2;
+    events.push({ kind: action, id: p.id, x: Math.round(px), y: Math.round(py) });
+    if (action === "gather") { p.gatherMs = GATHER_MS; return; }
+    if (action === "shear") { shear(p, px, py); return; }
+    const r = BARK_RADIUS_TILES * TILE;
+    for (const w of wolves) {
+      const dx = w.x - px, dy = w.y - py, d = Math.hypot(dx, dy);
+      if (d > r) continue;
+      const shove = WOLF_BARK_SHOVE * (1 - d / r);
+      if (d > 1e-6) paths.slideMove(w, dx/d*shove, dy/d*shove);
+      flee(w, px, py, WOLF_BARK_FLEE_MS);
+    }
+  }
+
+  /* ===== Wool & trading ===== */
+  /** Shear p's sheep within SHEAR_RADIUS_TILES that have a full fleece, into p's wool. */
+  function shear(p, px, py){
+    const r = SHEAR_RADIUS_TILES * TILE;
+    for (const s of herds.get(p.id) || []) {
+      if (s.wool < 1 || Math.hypot(s.x - px, s.y - py) > r) continue;
+      s.wool = 0;
+      p.inv.wool += 1 + (s.traits.wool >= WOOL_BONUS_AT ? 1 : 0) + p.upgrades.shears;
+    }
+  }
+
+  /** Spend coins on the next level of an UPGRADES item; only at the trading post. False if that can't be done. */
+  function buyUpgrade(id, item){
+    const p = players.get(id);
+    if (!p || !p.active || !Object.hasOwn(UPGRADES, item) || !atMarket(p, def.market)) return false;
+    const cost = UPGRADES[item].costs[p.upgrades[item]];
+    if (cost === undefined || p.inv.coins < cost) return false;
+    p.inv.coins -= cost;
+    p.upgrades[item]++;
+    return true;
+  }
+
+  /** What a shepherd holds, for their own snapshots: {wool, coins, upgrades}, or null. */
+  function inventory(id){
+    const p = players.get(id);
+    return p ? { wool: p.inv.wool, coins: p.inv.coins, upgrades: { ...p.upgrades } } : null;
+  }
+
+  function updateWolves(dt, dtMs){
+    // spawn up to soft cap
+    if (wolves.length < WOLF_MAX && rng.next() < WOLF_SPAWN_CHANCE) spawnWolf();
+
+    // packs that sprang last step (the rest of the pack joins in), and each pack's prey this step
+    const pouncing = new Set();
+    for (const w of wolves) if (w.pack && w.state === "chase") pouncing.add(w.pack);
+    const packPrey = new Map();
+
+    // iterate backwards so we can remove wolves that expire
+    for (let i = wolves.length - 1; i >= 0; i--) {
+      const w = wolves[i];
+
+      // lifetime countdown & despawn
+      w.life = (w.life ?? WOLF_LIFE_MS) - dtMs;
+      if (w.life <= 0) { wolves.splice(i, 1); continue; }
+
+      const shepherd = shepherdNear(w.x, w.y);
+      if (shepherd) flee(w, shepherd.x, shepherd.y);
+
+      // prey: the closest sheep in sight (a pack shares whatever its first wolf picked)
+      let prey = null;
+      if (w.state !== "flee") {
+        if (w.pack && packPrey.has(w.pack)) prey = packPrey.get(w.pack);
+        else {
+          const seen = sheepIndex.nearest(w.x, w.y, WOLF_SENSE_RADIUS);
+          prey = seen ? seen.item.ref : null;
+          if (w.pack) packPrey.set(w.pack, prey);
+        }
+      }
+
+      // state transitions
+      if (w.state === "flee") {
+        w.fleeMs -= dtMs;
+        if (w.fleeMs <= 0) {
+          if (w.leaving) { wolves.splice(i, 1); continue; }
+          w.state = "roam";
+        }
+      } else if (w.state === "chase") {
+        if (!prey || w.stamina <= 0) w.state = "roam";
+      } else if (!prey) {
+        w.state = "roam";
+      } else {
+        const hidden = ringAt(Math.floor(w.x / TILE), Math.floor(w.y / TILE)) !== "pasture";
+        const close = Math.hypot(prey.x - w.x, prey.y - w.y) < WOLF_POUNCE_RADIUS;
+        const spring = !hidden || close || pouncing.has(w.pack);
+        w.state = spring && w.stamina >= WOLF_MIN_CHASE_STAMINA ? "chase" : "stalk";
+      }
+      w.stamina = w.state === "chase"
+        ? Math.max(0, w.stamina - dtMs / WOLF_CHASE_MS)
+        : Math.min(1, w.stamina + dtMs / WOLF_RECOVER_MS);
+
+      // where to go
+      let aim = null;
+      if (w.state === "flee") {
+        aim = w.x === w.fleeFrom.x && w.y === w.fleeFrom.y
+          ? { x: w.x + Math.cos(w.heading), y: w.y + Math.sin(w.heading) }
+          : { x: 2*w.x - w.fleeFrom.x, y: 2*w.y - w.fleeFrom.y };
+      } else if (prey) {
+        aim = steerWolf(w, flankPoint(w, prey), dtMs);
+      } else {
+        // roam: follow the scent of the nearest herd anywhere, else wander
+        const scent = sheepIndex.nearest(w.x, w.y);
+        if (scent) aim = steerWolf(w, scent.item.ref, dtMs);
+      }
+      if (!aim) {
+        w.heading += (rng.next()-0.5) * 2 * WOLF_WANDER_S * dt;
+        aim = { x: w.x + Math.cos(w.heading)*TILE, y: w.y + Math.sin(w.heading)*TILE };
+      }
+
+      const to = normTo(aim.x - w.x, aim.y - w.y, wolfSpeed[w.state] * TILE);
+      w.vx = to.vx; w.vy = to.vy;
+      const x0 = w.x, y0 = w.y;
+      paths.slideMove(w, w.vx * dt, w.vy * dt);
+      if (w.x === x0 && w.y === y0) w.heading = rng.next()*Math.PI*2; // walked into the bank: turn
+      else w.heading = Math.atan2(w.y - y0, w.x - x0);
+    }
+  }
+
+  /**
+   * Where a following sheep heads: its spot beside the shepherd (spread
+   * out per the herd's formation) when it can
+   * walk straight there, else the shepherd, else the next tile of the
+   * herd's flow field (e.g. back to the bridge the shepherd crossed).
+   */
+  function followPoint(id, s, px, py, ptx, pty){
+    const spread = FORMATION_SCALE[players.get(id).formation];
+    const gx = px + s.ox*spread, gy = py + s.oy*spread;
+    if (paths.lineClear(s.x, s.y, gx, gy)) return { x: gx, y: gy };
+    if (paths.lineClear(s.x, s.y, px, py)) return { x: px, y: py };
+    let flow = flowFields.get(id);
+    if (!flow) flowFields.set(id, flow = { field: new Uint16Array(WORLD*WORLD), goal: -1 });
+    const goal = pty*WORLD + ptx;
+    if (flow.goal !== goal) { paths.flowField(flow.field, ptx, pty, FLOW_MAX_TILES); flow.goal = goal; }
+    const next = paths.flowNext(flow.field, Math.floor(s.x / TILE), Math.floor(s.y / TILE));
+    return next >= 0 ? paths.center(next) : { x: gx, y: gy };
+  }
+
+  /**
+   * Grazing sheep: go for food within `radius` of the spot the herd was
+   * told to graze (or a stray's home), else amble about, heading back once
+   * out of range.
+   */
+  function grazeVelocity(s, at, dt, radius = GRAZE_RADIUS){
+    if (s.full < MEALS_TO_BREED) {
+      const found = nearestPatchInTiles(foodIndex, s.x, s.y, SEEK_TILES);
+      if (found) {
+        const fx = found.tx*TILE + TILE/2, fy = found.ty*TILE + TILE/2;
+        if (Math.hypot(fx - at.x, fy - at.y) <= radius && paths.lineClear(s.x, s.y, fx, fy)) {
+          return normTo(fx - s.x, fy - s.y, SEEK_SPEED);
+        }
+      }
+    }
+    if (Math.hypot(s.x - at.x, s.y - at.y) > radius && paths.lineClear(s.x, s.y, at.x, at.y)) {
+      s.wander = Math.atan2(at.y - s.y, at.x - s.x);
+    } else {
+      s.wander = (s.wander ?? rng.next()*Math.PI*2) + (rng.next()-0.5) * 2 * GRAZE_TURN_S * dt;
+    }
+    return { vx: Math.cos(s.wander)*GRAZE_AMBLE_SPEED, vy: Math.sin(s.wander)*GRAZE_AMBLE_SPEED };
+  }
+
+  /**
+   * Sheepdog, in order of urgency: run at a wolf closing on the herd (it
+   * bolts once the dog is on it), fetch the sheep farthest from where the
+   * herd should be by getting behind it, else circle the herd.
+   */
+  function updateDog(p, flock, px, py, ptx, pty, dt){
+    const dog = p.dog;
+    let cx = px, cy = py, spread = 0;
+    if (flock.length) {
+      cx = 0; cy = 0;
+      for (const s of flock) { cx += s.x; cy += s.y; }
+      cx /= flock.length; cy /= flock.length;
+      for (const s of flock) spread = Math.max(spread, Math.hypot(s.x - cx, s.y - cy));
+    }
+
+    let wolf = null, wd = DOG_GUARD_RADIUS + Math.min(spread, DOG_ORBIT_MAX);
+    for (const w of wolves) {
+      if (w.state === "flee") continue;
+      const d = Math.hypot(w.x - cx, w.y - cy);
+      if (d < wd) { wd = d; wolf = w; }
+    }
+
+    // where the herd should be: around the shepherd, or the graze spot (stay: wherever it is)
+    const home = p.herdMode === "follow" ? { x: px, y: py, r: DOG_STRAY_DIST }
+               : p.herdMode === "graze" ? { ...p.grazeAt, r: GRAZE_RADIUS + TILE } : null;
+    // a sheep being fetched is brought well in (half the stray distance) before the dog lets go
+    let stray = null, sd = 0;
+    if (!wolf && home) {
+      const held = dog.state === "fetch" && flock.includes(dog.fetching) ? dog.fetching : null;
+      if (held && Math.hypot(held.x - home.x, held.y - home.y) > home.r / 2) {
+        stray = held; sd = Math.hypot(held.x - home.x, held.y - home.y);
+      }
+      if (!stray) {
+        for (const s of flock) {
+          const d = Math.hypot(s.x - home.x, s.y - home.y);
+          if (d > home.r && d > sd) { sd = d; stray = s; }
+        }
+      }
+    }
+    dog.fetching = stray;
+
+    let aim;
+    if (wolf) {
+      dog.state = "guard";
+      aim = { x: wolf.x, y: wolf.y };
+      if (Math.hypot(wolf.x - dog.x, wolf.y - dog.y) < DOG_BLOCK_RADIUS) flee(wolf, dog.x, dog.y, DOG_BLOCK_FLEE_MS);
+    } else if (stray) {
+      dog.state = "fetch";
+      aim = { x: stray.x + (stray.x - home.x)/sd*TILE, y: stray.y + (stray.y - home.y)/sd*TILE };
+    } else {
+      dog.state = "circle";
+      dog.angle += DOG_ORBIT_RATE * dt;
+      const r = Math.min(spread, DOG_ORBIT_MAX) + DOG_ORBIT_GAP;
+      aim = { x: cx + Math.cos(dog.angle)*r, y: cy + Math.sin(dog.angle)*r };
+    }
+    // can't get there directly (water in the way): make for the shepherd instead
+    if (!paths.open(Math.floor(aim.x / TILE), Math.floor(aim.y / TILE)) || !paths.lineClear(dog.x, dog.y, aim.x, aim.y)) {
+      aim = followPoint(p.id, { x: dog.x, y: dog.y, ox: 0, oy: 0 }, px, py, ptx, pty);
+    }
+
+    const dx = aim.x - dog.x, dy = aim.y - dog.y, d = Math.hypot(dx, dy);
+    if (d < 1e-6) return;
+    const move = Math.min(DOG_SPEED * dt, d); // don't overshoot the spot
+    paths.slideMove(dog, dx/d*move, dy/d*move);
+  }
+
+  /* ===== Step ===== */
+
+  /** Advance the world by dtMs (room.js always passes STEP_MS). */
+  function step(dtMs = STEP_MS){
+    const dt = Math.max(0.001, dtMs/1000);
+    time += dtMs;
+
+    // advance players by their queued inputs (each covers its own dt, like the client's prediction,
+    // as far as the player's movement budget goes)
+    for (const p of players.values()) {
+      for (const k in p.cooldowns) p.cooldowns[k] = Math.max(0, p.cooldowns[k] - dtMs);
+      p.gatherMs = Math.max(0, p.gatherMs - dtMs);
+      p.moveBudgetMs = Math.min(MOVE_BUDGET_CAP_MS, p.moveBudgetMs + dtMs);
+      if (!p.inputs.length) continue;
+      for (const input of p.inputs) {
+        const moveMs = Math.min(input.dt, p.moveBudgetMs);
+        p.moveBudgetMs -= moveMs;
+        movePlayer(p, input.held, moveMs/1000, canWalk);
+        if (input.seq) p.lastSeq = input.seq;
+        p.held = input.held;
+        if (input.action) act(p, input.action);
+      }
+      p.inputs.length = 0;
+    }
+
+    // wool sells as soon as its shepherd reaches the trading post
+    for (const p of players.values()) {
+      if (!p.active || p.inv.wool === 0 || !atMarket(p, def.market)) continue;
+      p.inv.coins += p.inv.wool * WOOL_PRICE;
+      p.inv.wool = 0;
+      events.push({ kind: "sell", id: p.id, x: def.market.x*TILE + TILE/2, y: def.market.y*TILE + TILE/2 });
+    }
+
+    // simulate each herd (per its mode, see setHerdMode) + breed; sheep slide along water like shepherds do
+    indexSheep(false);
+    for (const [id, flock] of herds) {
+      const p = players.get(id);
+      if (!p || !p.active) continue; // owner away: flock stays frozen
+      const px = p.x*TILE + TILE/2, py = p.y*TILE + TILE/2;
+      const ptx = Math.floor(p.x), pty = Math.floor(p.y);
+
+      const alpha = blendFactor(BLEND_RATE_S, dt);
+      const brake = Math.exp(-STOP_DECAY_S * dt);
+
+      for (let i=0;i<flock.length;i++) {
+        const s = flock[i];
+        let dvx=0, dvy=0;
+        const following = p.herdMode === "follow" && (p.held.up||p.held.down||p.held.left||p.held.right);
+
+        if (following || p.gatherMs > 0) {
+          const aim = followPoint(id, s, px, py, ptx, pty);
+          if (following || Math.hypot(aim.x - s.x, aim.y - s.y) > GATHER_SETTLE) {
+            const to = normTo(aim.x - s.x, aim.y - s.y, FOLLOW_SPEED);
+            dvx = to.vx; dvy = to.vy;
+          }
+        } else if (p.herdMode === "stay") {
+          // hold position: only flock-mates jostling (below) moves it
+        } else if (p.herdMode === "graze") {
+          const to = grazeVelocity(s, p.grazeAt, dt);
+          dvx = to.vx; dvy = to.vy;
+        } else if (s.full < MEALS_TO_BREED) {
+          const found = nearestPatchInTiles(foodIndex, s.x, s.y, SEEK_TILES);
+          if (found) {
+            const fx = found.tx*TILE + TILE/2, fy = found.ty*TILE + TILE/2;
+            if (paths.lineClear(s.x, s.y, fx, fy)) { // not food across the water
+              const to = normTo(fx - s.x, fy - s.y, SEEK_SPEED);
+              dvx = to.vx; dvy = to.vy;
+            }
+          }
+        }
+
+        const pace = sheepPace(s);
+        dvx *= pace; dvy *= pace;
+
+        // wary sheep shy away from wolves (how far off depends on their awareness)
+        const shy = wolfShy(s, BELL_AWARENESS * p.upgrades.bell);
+        dvx += shy.vx; dvy += shy.vy;
+
+        // separation (flock-mates only; the index holds start-of-step cells, so look one tile wider)
+        sheepIndex.forEachNear(s.x, s.y, SEP_RADIUS + TILE, (e) => {
+          const o = e.ref;
+          if (o === s || e.herdId !== id) return;
+          const dx = s.x - o.x, dy = s.y - o.y;
+          const d  = Math.hypot(dx,dy);
+          if (d>1e-6 && d<SEP_RADIUS) {
+            const push = (SEP_RADIUS - d) / SEP_RADIUS;
+            dvx += (dx/d) * SEP_PUSH * push * dt;
+            dvy += (dy/d) * SEP_PUSH * push * dt;
+          }
+        });
+
+        // sheep shy away from a dog that is fetching them
+        const dog = p.dog;
+        if (dog && dog.state === "fetch") {
+          const dx = s.x - dog.x, dy = s.y - dog.y, d = Math.hypot(dx, dy);
+          if (d > 1e-6 && d < DOG_NUDGE_RADIUS) {
+            const push = DOG_NUDGE_PUSH * (1 - d / DOG_NUDGE_RADIUS);
+            dvx += dx/d * push; dvy += dy/d * push;
+          }
+        }
+
+        // blend velocity + stop decay
+        s.vx = s.vx + (dvx - s.vx) * alpha;
+        s.vy = s.vy + (dvy - s.vy) * alpha;
+        if (dvx===0 && dvy===0) { s.vx *= brake; s.vy *= brake; }
+
+        paths.slideMove(s, s.vx * dt, s.vy * dt);
+        s.phase += dt * 0.9;
+
+        // grazing
+        const tx = Math.floor(s.x / TILE), ty = Math.floor(s.y / TILE);
+        const key = tileKey(tx,ty);
+        if (s.full < MEALS_TO_BREED && foodPatches.has(key)) {
+          eatFood(key);
+          s.full = Math.min(MEALS_TO_BREED, s.full + 1);
+          p.stats.meals++;
+        }
+
+        // cooldown tick
+        s.cd = Math.max(0, (s.cd||0) - dtMs);
+      }
+
+      // hunger and age: the starved and the very old die
+      for (let i = flock.length - 1; i >= 0; i--) {
+        if (!liveSheep(flock[i], dtMs, 1 - SALT_HUNGER_CUT * p.upgrades.salt)) continue;
+        flock.splice(i, 1);
+        p.stats.died++;
+      }
+
+      // breed if 2 well-fed adults are ready
+      const ready = flock.filter(s => s.full >= BREED_READY && s.cd === 0 && sheepStage(s) === "adult");
+      if (ready.length >= 2) {
+        ready[0].full -= BREED_COST; ready[1].full -= BREED_COST;
+        ready[0].cd = BREED_COOLDOWN_MS;
+        ready[1].cd = BREED_COOLDOWN_MS;
+        // new lamb near player, taking after both parents
+        flock.push(createSheep(px, py, 0, inheritTraits(ready[0].traits, ready[1].traits)));
+        p.stats.lambs++;
+      }
+      recruitStrays(p, flock, px, py);
+      p.stats.peak = Math.max(p.stats.peak, flock.length);
+      p.stats.aliveMs += dtMs;
+
+      if (!p.dog && flock.length >= DOG_EARN_SHEEP) p.dog = createDog(px, py);
+      if (p.dog) updateDog(p, flock, px, py, ptx, pty, dt);
+    }
+
+    if (rustling) rustleSheep(dtMs);
+    updateStrays(dt, dtMs);
+
+    // wolves vs sheep — a wolf that makes a kill runs off with it and is gone
+    indexSheep(true);
+    updateWolves(dt, dtMs);
+
+    for (const w of wolves) {
+      if (w.state === "flee") continue;
+      const prey = sheepIndex.nearest(w.x, w.y, WOLF_CATCH_RADIUS);
+      if (!prey) continue;
+      const flock = prey.item.herdId === null ? strays : herds.get(prey.item.herdId);
+      const at = flock ? flock.indexOf(prey.item.ref) : -1;
+      if (at >= 0) flock.splice(at, 1); // remove that sheep
+      const owner = players.get(prey.item.herdId);
+      if (owner) owner.stats.lost++;
+      sheepIndex.remove(prey.item);       // so no other wolf takes it this step
+      w.kills++;
+      w.leaving = true;
+      flee(w, prey.item.x, prey.item.y);
+    }
+    indexWolves();
+
+    // respawn patches
+    foodRespawnTimer += dtMs;
+    if (foodRespawnTimer >= FOOD_RESPAWN_EVERY_MS) {
+      foodRespawnTimer = 0;
+      if (foodPatches.size < FOOD_PATCH_COUNT) {
+        const one = createFoodPatches(1);
+        for (const k of one) addFood(k);
+      }
+    }
+
+    // the odd wild stray wanders onto the pasture
+    straySpawnTimer += dtMs;
+    if (straySpawnTimer >= STRAY_SPAWN_EVERY_MS) {
+      straySpawnTimer = 0;
+      if (strays.length < STRAY_WILD_MAX) spawnWildStray();
+    }
+  }
+
+  /* ===== Observation ===== */
+
+  /** Snapshot-state parts (see shared/snapshot.js) of the whole world. */
+  function capture(){
+    const playersState = new Map();
+    for (const [id,p] of players) {
+      playersState.set(id, { id, name:p.name, x:quantizePos(p.x), y:quantizePos(p.y), mode:p.herdMode, formation:p.formation });
+    }
+    const sheepTuple = (s) => [Math.round(s.x), Math.round(s.y), Math.round(s.full / MEALS_TO_BREED * 100), Math.max(0, s.cd|0),
+                               SHEEP_STAGES.indexOf(sheepStage(s)), Math.floor(s.wool * 100)];
+    const herdsState = new Map();
+    const traits = new Map();
+    const traitTuple = ({ traits: t }) => [t.speed, t.appetite, t.wool, t.awareness, t.coat];
+    for (const [id,flock] of herds) {
+      herdsState.set(id, new Map(flock.map(s => [s.id, sheepTuple(s)])));
+      for (const s of flock) traits.set(s.id, traitTuple(s));
+    }
+    for (const s of strays) traits.set(s.id, traitTuple(s));
+    return {
+      players: playersState,
+      herds: herdsState,
+      strays: new Map(strays.map(s => [s.id, sheepTuple(s)])),
+      strayCount: strays.length,
+      traits,
+      wolves: wolves.map(wolfTuple),
+      dogs: [...players.values()].filter(p => p.dog).map(p => [p.id, Math.round(p.dog.x), Math.round(p.dog.y), DOG_STATES.indexOf(p.dog.state)]),
+      patches: new Set(foodPatches)
+    };
+  }
+
+  /** Snapshot form of a wolf: [x, y, state index in WOLF_STATES]. */
+  const wolfTuple = (w) => [Math.round(w.x), Math.round(w.y), WOLF_STATES.indexOf(w.state)];
+
+  /** Wolves (as snapshot tuples) inside a world-pixel rect. */
+  function wolvesInRect(rect){
+    const out = [];
+    const mx = (rect.x0 + rect.x1) / 2, my = (rect.y0 + rect.y1) / 2;
+    wolfIndex.forEachNear(mx, my, Math.max(rect.x1 - mx, rect.y1 - my), (w) => {
+      const t = wolfTuple(w);
+      if (t[0] >= rect.x0 && t[0] <= rect.x1 && t[1] >= rect.y0 && t[1] <= rect.y1) out.push(t);
+    });
+    return out;
+  }
+
+  /**
+   * Everyone's score, best first: by current herd, then peak herd, then
+   * lambs. Entries: {id,name,herd,peak,lambs,meals,lost,died,aliveMs}.
+   */
+  function standings(){
+    const out = [];
+    for (const [id, p] of players) out.push({ id, name: p.name, herd: herds.get(id)?.length || 0, ...p.stats });
+    return out.sort((a, b) => b.herd - a.herd || b.peak - a.peak || b.lambs - a.lambs || a.name.localeCompare(b.name));
+  }
+
+  /** Actions used since the last call ({kind, id, x, y} in world px), for room.js to show. */
+  function takeEvents(){
+    return events.splice(0);
+  }
+
+  function sheepCount(){
+    let n = 0;
+    for (const flock of herds.values()) n += flock.length;
+    return n;
+  }
+
+  return {
+    def,
+    world,
+    addPlayer,
+    removePlayer,
+    resetRound,
+    setActive,
+    applyInput,
+    exportPlayer,
+    setHerdMode,
+    buyUpgrade,
+    inventory,
+    step,
+    capture,
+    wolvesInRect,
+    standings,
+    sheepCount,
+    takeEvents,
+    exportStrays,
+    player: (id) => players.get(id) || null,
+    herd: (id) => herds.get(id) || null,
+    get players(){ return players; },
+    get wolves(){ return wolves; },
+    get strays(){ return strays; },
+    get food(){ return [...foodPatches]; },
+    get time(){ return time; }
+  };
+}
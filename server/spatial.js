@@ -0,0 +1,107 @@
+// server/spatial.js
+// Uniform-grid spatial hash: items are bucketed by the cell their (x,y)
+// falls in, so "what is near here" only looks at a handful of cells instead
+// of every sheep / wolf / food tile in the room. Items are whatever the
+// caller inserts; they only need live `x`/`y` fields (world pixels).
+
+/**
+ * Create an index with square cells of `cellSize` pixels. Cells are keyed by
+ * a packed integer, so coordinates may go slightly negative without issue.
+ */
+export function createSpatialHash(cellSize){
+  const cells = new Map(); // packed cell -> [item]
+  let size = 0;
+  // bounds of occupied cells, so ring searches know when to give up
+  let minCx = Infinity, minCy = Infinity, maxCx = -Infinity, maxCy = -Infinity;
+
+  const cellOf = (v) => Math.floor(v / cellSize);
+  const pack = (cx, cy) => (cx + 32768) * 65536 + (cy + 32768);
+
+  function insert(item){
+    const cx = cellOf(item.x), cy = cellOf(item.y);
+    const key = pack(cx, cy);
+    let bucket = cells.get(key);
+    if (!bucket) cells.set(key, bucket = []);
+    bucket.push(item);
+    size++;
+    if (cx < minCx) minCx = cx; if (cx > maxCx) maxCx = cx;
+    if (cy < minCy) minCy = cy; if (cy > maxCy) maxCy = cy;
+  }
+
+  /** Remove an item; (x,y) must be where it was inserted (defaults to its own). */
+  function remove(item, x = item.x, y = item.y){
+    const key = pack(cellOf(x), cellOf(y));
+    const bucket = cells.get(key);
+    if (!bucket) return false;
+    const i = bucket.indexOf(item);
+    if (i < 0) return false;
+    bucket[i] = bucket[bucket.length - 1];
+    bucket.pop();
+    if (!bucket.length) cells.delete(key);
+    size--;
+    return true;
+  }
+
+  function clear(){
+    cells.clear();
+    size = 0;
+    minCx = minCy = Infinity; maxCx = maxCy = -Infinity;
+  }
+
+  /**
+   * Call fn(item) for every item in the cells overlapping the square of
+   * half-size r around (x,y). The caller does the exact distance test.
+   */
+  function forEachNear(x, y, r, fn){
+    const cx0 = cellOf(x - r), cx1 = cellOf(x + r);
+    const cy0 = cellOf(y - r), cy1 = cellOf(y + r);
+    for (let cy = cy0; cy <= cy1; cy++) {
+      for (let cx = cx0; cx <= cx1; cx++) {
+        const bucket = cells.get(pack(cx, cy));
+        if (bucket) for (let i = bucket.length - 1; i >= 0; i--) fn(bucket[i]);
+      }
+    }
+  }
+
+  /**
+   * Closest item to (x,y) within maxR (optionally only those passing
+   * `accept`), searching outward ring by ring: { item, d2 } or null.
+   */
+  function nearest(x, y, maxR = Infinity, accept = null){
+    if (!size) return null;
+    const cx = cellOf(x), cy = cellOf(y);
+    const maxRing = Math.max(cx - minCx, maxCx - cx, cy - minCy, maxCy - cy);
+    const maxR2 = maxR * maxR;
+    let best = null;
+
+    const visit = (bx, by) => {
+      const bucket = cells.get(pack(bx, by));
+      if (!bucket) return;
+      for (const item of bucket) {
+        const dx = item.x - x, dy = item.y - y;
+        const d2 = dx*dx + dy*dy;
+        if (d2 > maxR2 || (best && d2 >= best.d2)) continue;
+        if (accept && !accept(item)) continue;
+        best = { item, d2 };
+      }
+    };
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // anything in this ring is at least (ring-1) cells away
+      const minDist = Math.max(0, ring - 1) * cellSize;
+      if (minDist > maxR || (best && minDist * minDist > best.d2)) break;
+      if (ring === 0) { visit(cx, cy); continue; }
+      for (let k = -ring; k <= ring; k++) {
+        visit(cx + k, cy - ring);
+        visit(cx + k, cy + ring);
+      }
+      for (let k = -ring + 1; k <= ring - 1; k++) {
+        visit(cx - ring, cy + k);
+        visit(cx + ring, cy + k);
+      }
+    }
+    return best;
+  }
+
+  return { insert, remove, clear, forEachNear, nearest, get size(){ return size; } };
+}
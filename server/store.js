@@ -0,0 +1,34 @@
+// server/store.js
+// Tiny JSON-file store for world state (no database). Writes are atomic
+// (tmp file + rename) so a crash mid-save never leaves a torn file.
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+
+// bump when a saved field changes meaning; older files are then ignored, not
+// half-loaded. Fields added later are optional: loading fills in defaults
+// for whatever an older file lacks
+export const SCHEMA_VERSION = 1;
+
+/** Read a saved world, or null if missing / unreadable / another schema. */
+export function loadState(file){
+  let data = null;
+  try { data = JSON.parse(readFileSync(file, "utf8")); }
+  catch (e) {
+    if (e.code !== "ENOENT") console.warn("[store] could not read", file, "-", e.message);
+    return null;
+  }
+  if (!data || data.version !== SCHEMA_VERSION) {
+    console.warn("[store] ignoring", file, "- schema", data?.version, "!=", SCHEMA_VERSION);
+    return null;
+  }
+  return data;
+}
+
+/** Write the world atomically, stamped with schema version + time. */
+export function saveState(file, data){
+  const tmp = file + ".tmp";
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(tmp, JSON.stringify({ version: SCHEMA_VERSION, savedAt: Date.now(), ...data }));
+  renameSync(tmp, file);
+}
@@ -0,0 +1,129 @@
+// server/test/sim.test.js
+// Seeded checks of the headless simulation: the same seed and the same
+// calls give the same world, and shepherds move, sheep graze and breed and
+// wolves take sheep the way the rules say. Run with `npm test`.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createWorld, TILE, STEP_MS } from "../sim.js";
+import { movePlayer } from "../../shared/player.js";
+
+const HELD = {
+  none:  { up: false, down: false, left: false, right: false },
+  up:    { up: true,  down: false, left: false, right: false },
+  down:  { up: false, down: true,  left: false, right: false },
+  left:  { up: false, down: false, left: true,  right: false },
+  right: { up: false, down: false, left: false, right: true  },
+};
+
+/** capture() as plain JSON (Maps and Sets become arrays), for comparing worlds. */
+function dump(sim){
+  return JSON.stringify(sim.capture(), (k, v) => v instanceof Map || v instanceof Set ? [...v] : v);
+}
+
+/** Two shepherds walking a fixed pattern for `steps` steps. */
+function play(seed, steps){
+  const sim = createWorld({ seed });
+  sim.addPlayer("a", "A");
+  sim.addPlayer("b", "B");
+  const dirs = ["right", "down", "left", "up", "none"];
+  for (let i = 1; i <= steps; i++) {
+    sim.applyInput("a", { seq: i, held: HELD[dirs[Math.floor(i / 40) % dirs.length]], dt: STEP_MS });
+    sim.applyInput("b", { seq: i, held: HELD[dirs[Math.floor(i / 25) % dirs.length]], dt: STEP_MS });
+    sim.step(STEP_MS);
+  }
+  return sim;
+}
+
+/** Tile centre (px) of a walkable tile at least `minTiles` from the shepherd. */
+function walkableAway(sim, p, minTiles){
+  const { canWalk } = sim.world;
+  for (let r = minTiles; r < minTiles + 20; r++) {
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const tx = Math.floor(p.x) + dx * r, ty = Math.floor(p.y) + dy * r;
+      if (canWalk(tx, ty)) return { x: tx * TILE + TILE / 2, y: ty * TILE + TILE / 2 };
+    }
+  }
+  throw new Error("no walkable tile found");
+}
+
+test("the same seed and calls give the same world", () => {
+  assert.equal(dump(play(7, 2000)), dump(play(7, 2000)));
+  assert.notEqual(dump(play(7, 200)), dump(play(8, 200)));
+});
+
+test("shepherds move by the shared movement rules", () => {
+  const sim = createWorld({ seed: 3 });
+  const p = sim.addPlayer("a", "A");
+  const expect = { x: p.x, y: p.y };
+  const dirs = ["right", "right", "down", "left", "up"];
+  for (let i = 1; i <= 50; i++) {
+    const held = HELD[dirs[i % dirs.length]];
+    sim.applyInput("a", { seq: i, held, dt: STEP_MS });
+    movePlayer(expect, held, STEP_MS / 1000, sim.world.canWalk);
+    sim.step(STEP_MS);
+  }
+  assert.deepEqual({ x: p.x, y: p.y }, expect);
+  assert.ok(sim.world.canWalk(Math.floor(p.x), Math.floor(p.y)));
+});
+
+test("inputs can't cover more time than has passed", () => {
+  const sim = createWorld({ seed: 3 });
+  const p = sim.addPlayer("a", "A");
+  sim.step(STEP_MS);
+  const x0 = p.x, y0 = p.y;
+  for (let i = 1; i <= 32; i++) sim.applyInput("a", { seq: i, held: HELD.right, dt: 250 });
+  sim.step(STEP_MS);
+  const honest = { x: x0, y: y0 };
+  movePlayer(honest, HELD.right, 4 * STEP_MS / 1000, () => true);
+  assert.ok(Math.hypot(p.x - x0, p.y - y0) <= honest.x - x0 + 1e-9);
+});
+
+test("a hungry sheep eats the food patch it stands on", () => {
+  const sim = createWorld({ seed: 11 });
+  sim.addPlayer("a", "A");
+  const s = sim.herd("a")[0];
+  const [tx, ty] = sim.food[0].split(",").map(Number);
+  s.x = tx * TILE + TILE / 2; s.y = ty * TILE + TILE / 2;
+  s.full = 0;
+  sim.step(STEP_MS);
+  assert.ok(s.full > 0.5);
+  assert.ok(!sim.food.includes(`${tx},${ty}`));
+});
+
+test("two well-fed sheep have a lamb", () => {
+  const sim = createWorld({ seed: 5 });
+  sim.addPlayer("a", "A");
+  for (const s of sim.herd("a")) { s.full = 3; s.cd = 0; }
+  sim.step(STEP_MS);
+  assert.equal(sim.herd("a").length, 3);
+  for (const s of sim.herd("a").slice(0, 2)) assert.ok(s.full < 3 && s.cd > 0);
+});
+
+test("a shepherd from an older or damaged save comes back whole", () => {
+  const sim = createWorld({ seed: 4 });
+  sim.addPlayer("a", "A", { name: "A", x: "?", y: null, herd: [{ full: 1, cd: 0 }, { full: "x", ox: NaN, oy: 3 }] });
+  for (let i = 0; i < 20; i++) sim.step(STEP_MS);
+  const p = sim.player("a");
+  assert.ok(Number.isFinite(p.x) && Number.isFinite(p.y));
+  assert.equal(sim.herd("a").length, 2);
+  for (const s of sim.herd("a")) assert.ok([s.x, s.y, s.ox, s.oy, s.full].every(Number.isFinite));
+});
+
+test("a wolf that reaches a sheep takes it", () => {
+  const sim = createWorld({ seed: 2 });
+  const p = sim.addPlayer("a", "A");
+  for (let i = 0; i < 2000 && !sim.wolves.length; i++) sim.step(STEP_MS);
+  assert.ok(sim.wolves.length, "a wolf turns up");
+
+  // a sheep that wandered off, with the wolf right on it
+  const n = sim.herd("a").length;
+  const s = sim.herd("a")[0];
+  const at = walkableAway(sim, p, 12);
+  s.x = at.x; s.y = at.y;
+  const w = sim.wolves[0];
+  w.x = at.x; w.y = at.y;
+  sim.step(STEP_MS);
+  assert.equal(sim.herd("a").length, n - 1);
+  assert.ok(!sim.herd("a").includes(s));
+});
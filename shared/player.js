@@ -0,0 +1,74 @@
+// shared/player.js
+"use strict";
+
+/**
+ * Shepherd movement rules, shared so the client can predict its own
+ * shepherd with exactly the math the server runs for each input.
+ */
+
+export const PLAYER_SPEED_TPS = 8.5; // tiles per second
+export const MAX_INPUT_DT_MS  = 250; // longest slice of time one input may cover
+
+// one-shot shepherd actions, carried on an input as `action`; the server enforces the cooldowns
+export const ACTION_COOLDOWN_MS = { bark: 4000, gather: 8000, shear: 1000 };
+export const BARK_RADIUS_TILES = 6;   // wolves this close bolt
+export const SHEAR_RADIUS_TILES = 2.5; // your sheep this close with a full fleece get sheared
+
+// herd commands: follow the shepherd, stay put, or graze around where they were told to;
+// the formation scales each sheep's personal spot around the shepherd
+export const HERD_MODES = ["follow", "stay", "graze"];
+export const FORMATION_SCALE = { tight: 0.6, normal: 1, loose: 1.8 };
+export const FORMATIONS = Object.keys(FORMATION_SCALE);
+
+// a shepherd earns a sheepdog the first time their herd reaches this size
+export const DOG_EARN_SHEEP = 10;
+
+// trading post (the world's `market` tile): standing this close sells all your
+// wool, and coins buy upgrades there, each with a price per level
+export const MARKET_RADIUS_TILES = 1.5;
+export const WOOL_PRICE = 2; // coins per wool
+export const UPGRADES = {
+  shears: { label: "Sharp shears", costs: [10, 25] }, // +1 wool per fleece a level
+  salt:   { label: "Salt lick",    costs: [8, 20] },  // herd gets hungry 20% slower a level
+  bell:   { label: "Bell",         costs: [12, 30] }, // sheep notice wolves sooner
+};
+export const UPGRADE_KEYS = Object.keys(UPGRADES);
+
+/**
+ * True if shepherd p ({x,y} in tiles) is close enough to trade at the
+ * `market` tile; the server and the client both ask this. Measured centre
+ * to centre: a shepherd at (x,y) stands at (x+0.5, y+0.5), the middle of
+ * tile (x,y), so it lines up with the middle of the market tile.
+ */
+export function atMarket(p, market){
+  if (!market) return false;
+  const dx = (p.x + 0.5) - (market.x + 0.5), dy = (p.y + 0.5) - (market.y + 0.5);
+  return Math.hypot(dx, dy) <= MARKET_RADIUS_TILES;
+}
+
+/** Advance p ({x,y} in tiles) by one input; slides along walls. */
+export function movePlayer(p, held, dt, canWalk) {
+  let dx = (held.right?1:0) - (held.left?1:0);
+  let dy = (held.down ?1:0) - (held.up  ?1:0);
+  if (!dx && !dy) return;
+  const len = Math.hypot(dx,dy) || 1; dx/=len; dy/=len;
+  const nx = p.x + dx*PLAYER_SPEED_TPS*dt;
+  const ny = p.y + dy*PLAYER_SPEED_TPS*dt;
+  if (canWalk(Math.floor(nx), Math.floor(ny))) { p.x = nx; p.y = ny; }
+  else {
+    if (canWalk(Math.floor(nx), Math.floor(p.y))) p.x = nx;
+    if (canWalk(Math.floor(p.x), Math.floor(ny))) p.y = ny;
+  }
+}
+
+/** Normalize a client input message ({seq, held, dt, action?}) or return null. */
+export function sanitizeInput(msg) {
+  if (!msg || !msg.held) return null;
+  const dt = Number.isFinite(msg.dt) ? msg.dt : 66;
+  return {
+    seq: Number.isInteger(msg.seq) ? msg.seq : 0,
+    held: { up: !!msg.held.up, down: !!msg.held.down, left: !!msg.held.left, right: !!msg.held.right },
+    dt: Math.max(0, Math.min(MAX_INPUT_DT_MS, dt)),
+    action: Object.hasOwn(ACTION_COOLDOWN_MS, msg.action) ? msg.action : null,
+  };
+}
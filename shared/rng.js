@@ -0,0 +1,37 @@
+// shared/rng.js
+"use strict";
+
+/**
+ * Small seeded PRNG (mulberry32) plus an integer hash. Only integer ops, so
+ * the same seed gives the same sequence in every JS engine.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+
+  function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    next,
+    int: (n) => Math.floor(next() * n),
+    range: (lo, hi) => lo + next() * (hi - lo),
+  };
+}
+
+/** Hash (seed, x, y) to a float in [0, 1). */
+export function hash01(seed, x, y) {
+  let h = Math.imul(x | 0, 374761393) + Math.imul(y | 0, 668265263) + Math.imul(seed | 0, 2246822519);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+/** Fresh random 32-bit seed (server side picks one per world). */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,305 @@
+// shared/snapshot.js
+"use strict";
+import { HERD_MODES, FORMATIONS, UPGRADE_KEYS } from "./player.js";
+
+/**
+ * Versioned binary snapshot protocol with per-client delta baselines.
+ *
+ * The server captures a snapshot *state* each tick, and a per-client encoder
+ * diffs it against the last state that client acked: only changed players,
+ * changed/removed sheep and added/removed food patches go on the wire. The
+ * client decoder keeps the states it has seen by sequence number, rebuilds
+ * the full state from the baseline + delta and hands main.js the same
+ * snapshot object shape the JSON protocol always produced.
+ *
+ * With area-of-interest filtering every client gets its own state, so an
+ * entity leaving view simply shows up as a removal in the next delta. A
+ * sheep keeps its id when it changes hands (rustled, or a stray taken in),
+ * so an ownership change is a removal from one herd plus an upsert in the
+ * other within the same delta.
+ *
+ * State shape:
+ *   { ts, online, lastInput, players: Map(id -> {id,name,x,y,mode,formation}),
+ *     inventory: {wool, coins, upgrades: {name: level}} | null,  (the receiving shepherd's own)
+ *     herds:   Map(playerId -> Map(sheepId -> [x,y,full,cd,stage,wool])),
+ *              (full: how fed, 0-100 %; stage: index into SHEEP_STAGES; wool: fleece grown, 0-100 %)
+ *     strays:  Map(sheepId -> [x,y,full,cd,stage,wool]),  strayCount (all strays, not just the ones in view),
+ *     traits:  Map(sheepId -> [speed,appetite,wool,awareness,coat]) for every sheep above
+ *              (coat: index into SHEEP_COATS; traits never change, so only new ids are sent),
+ *     wolves:  [[x,y,state], ...],   (state: index into WOLF_STATES)
+ *     dogs:    [[ownerId,x,y,state], ...],   (state: index into DOG_STATES)
+ *     patches: Set("x,y") }
+ */
+
+export const SNAPSHOT_VERSION = 10;
+const KIND_SNAPSHOT = 1;
+
+const POS_SCALE = 256;     // player tile coords are sent in 1/256 tile steps
+const MAX_BASELINES = 64;  // states kept per client while waiting for acks
+
+/** Wolf behavior states, in wire order (server/sim.js runs the state machine). */
+export const WOLF_STATES = ["roam", "stalk", "chase", "flee"];
+/** Sheep life stages, in wire order. */
+export const SHEEP_STAGES = ["lamb", "adult", "elder"];
+/** Sheep coat colors, in wire order. */
+export const SHEEP_COATS = ["white", "cream", "grey", "brown", "black"];
+/** Sheepdog states, in wire order. */
+export const DOG_STATES = ["circle", "fetch", "guard"];
+
+/** Quantize a player tile coordinate exactly as the wire does. */
+export const quantizePos = (v) => Math.round(Math.max(0, v) * POS_SCALE) / POS_SCALE;
+
+/**
+ * Legacy/JSON snapshot object (what main.js consumes) from a state. Each
+ * sheep's traits ride along at the end of its tuple there.
+ */
+export function stateToSnapshot(state) {
+  const withTraits = (flock) => [...flock].map(([sid, t]) => [...t, ...(state.traits.get(sid) || [])]);
+  const herds = {};
+  for (const [pid, flock] of state.herds) herds[pid] = withTraits(flock);
+  return {
+    type: "snapshot",
+    ts: state.ts,
+    online: state.online,
+    lastInput: state.lastInput,
+    inventory: state.inventory || null,
+    players: [...state.players.values()],
+    herds,
+    strays: withTraits(state.strays),
+    strayCount: state.strayCount,
+    wolves: state.wolves,
+    dogs: state.dogs,
+    patches: [...state.patches],
+  };
+}
+
+/* ===== byte writer / reader ===== */
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function createWriter(size = 2048) {
+  let buf = new Uint8Array(size);
+  let view = new DataView(buf.buffer);
+  let off = 0;
+
+  function ensure(n) {
+    if (off + n <= buf.length) return;
+    let cap = buf.length * 2;
+    while (cap < off + n) cap *= 2;
+    const next = new Uint8Array(cap);
+    next.set(buf);
+    buf = next; view = new DataView(buf.buffer);
+  }
+
+  return {
+    u8(v)  { ensure(1); view.setUint8(off, v); off += 1; },
+    u16(v) { ensure(2); view.setUint16(off, v); off += 2; },
+    i16(v) { ensure(2); view.setInt16(off, Math.max(-32768, Math.min(32767, v))); off += 2; },
+    u32(v) { ensure(4); view.setUint32(off, v); off += 4; },
+    f64(v) { ensure(8); view.setFloat64(off, v); off += 8; },
+    str(s) {
+      const bytes = textEncoder.encode(s).subarray(0, 255);
+      ensure(1 + bytes.length); view.setUint8(off, bytes.length); off += 1;
+      buf.set(bytes, off); off += bytes.length;
+    },
+    finish() { return buf.slice(0, off); },
+  };
+}
+
+function createReader(bytes) {
+  const u8a = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(u8a.buffer, u8a.byteOffset, u8a.byteLength);
+  let off = 0;
+  return {
+    u8()  { const v = view.getUint8(off);   off += 1; return v; },
+    u16() { const v = view.getUint16(off);  off += 2; return v; },
+    i16() { const v = view.getInt16(off);   off += 2; return v; },
+    u32() { const v = view.getUint32(off);  off += 4; return v; },
+    f64() { const v = view.getFloat64(off); off += 8; return v; },
+    str() {
+      const n = view.getUint8(off); off += 1;
+      const s = textDecoder.decode(u8a.subarray(off, off + n)); off += n;
+      return s;
+    },
+  };
+}
+
+const sameTuple = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+/* ===== per-field codecs (kept together so the layout reads top to bottom) ===== */
+// herd mode and formation share a byte: mode index in the high nibble
+function writePlayer(w, p) {
+  w.str(p.id); w.str(p.name); w.u16(Math.round(p.x * POS_SCALE)); w.u16(Math.round(p.y * POS_SCALE));
+  w.u8(HERD_MODES.indexOf(p.mode) << 4 | FORMATIONS.indexOf(p.formation));
+}
+function readPlayer(r) {
+  const p = { id: r.str(), name: r.str(), x: r.u16() / POS_SCALE, y: r.u16() / POS_SCALE };
+  const herd = r.u8();
+  p.mode = HERD_MODES[herd >> 4]; p.formation = FORMATIONS[herd & 15];
+  return p;
+}
+function writeSheep(w, t)  { w.i16(t[0]); w.i16(t[1]); w.u8(t[2]); w.u16(t[3]); w.u8(t[4]); w.u8(t[5]); }
+function readSheep(r)      { return [r.i16(), r.i16(), r.u8(), r.u16(), r.u8(), r.u8()]; }
+// inventory: a presence byte, then wool, coins and one level byte per UPGRADE_KEYS
+function writeInventory(w, inv) {
+  w.u8(inv ? 1 : 0);
+  if (!inv) return;
+  w.u16(Math.min(0xffff, inv.wool)); w.u32(inv.coins);
+  for (const k of UPGRADE_KEYS) w.u8(inv.upgrades[k] || 0);
+}
+function readInventory(r) {
+  if (!r.u8()) return null;
+  const inv = { wool: r.u16(), coins: r.u32(), upgrades: {} };
+  for (const k of UPGRADE_KEYS) inv.upgrades[k] = r.u8();
+  return inv;
+}
+function writeTile(w, key) { const [x, y] = key.split(","); w.u16(+x); w.u16(+y); }
+function readTile(r)       { return `${r.u16()},${r.u16()}`; }
+
+/**
+ * Server side, one per client: encode(state) -> bytes (delta vs the last
+ * acked state, or a keyframe), ack(seq) when the client confirms a snapshot.
+ */
+export function createSnapshotEncoder() {
+  let seq = 0;
+  let ackSeq = 0;
+  const sent = new Map(); // seq -> state
+
+  function ack(s) {
+    if (s === 0) { ackSeq = 0; return; }  // client lost its baseline: resync
+    if (s > ackSeq && sent.has(s)) ackSeq = s;
+    for (const k of sent.keys()) if (k < ackSeq) sent.delete(k);
+  }
+
+  function encode(state) {
+    seq++;
+    const base = sent.get(ackSeq) || null;
+    const w = createWriter();
+    w.u8(SNAPSHOT_VERSION); w.u8(KIND_SNAPSHOT);
+    w.u32(seq); w.u32(base ? ackSeq : 0); w.f64(state.ts); w.u16(state.online); w.u32(state.lastInput);
+    writeInventory(w, state.inventory);
+
+    // players: upserts + removals
+    const up = [], gone = [];
+    for (const [id, p] of state.players) {
+      const b = base && base.players.get(id);
+      if (!b || b.x !== p.x || b.y !== p.y || b.name !== p.name || b.mode !== p.mode || b.formation !== p.formation) up.push(p);
+    }
+    if (base) for (const id of base.players.keys()) if (!state.players.has(id)) gone.push(id);
+    w.u16(up.length); for (const p of up) writePlayer(w, p);
+    w.u16(gone.length); for (const id of gone) w.str(id);
+
+    // herds: per herd, changed sheep + removed sheep ids
+    const touched = [];
+    for (const [pid, flock] of state.herds) {
+      const bf = base && base.herds.get(pid);
+      const ups = [], rem = [];
+      for (const [sid, t] of flock) { const bt = bf && bf.get(sid); if (!bt || !sameTuple(bt, t)) ups.push([sid, t]); }
+      if (bf) for (const sid of bf.keys()) if (!flock.has(sid)) rem.push(sid);
+      if (ups.length || rem.length || !bf) touched.push({ pid, ups, rem });
+    }
+    w.u16(touched.length);
+    for (const h of touched) {
+      w.str(h.pid);
+      w.u16(h.ups.length); for (const [sid, t] of h.ups) { w.u32(sid); writeSheep(w, t); }
+      w.u16(h.rem.length); for (const sid of h.rem) w.u32(sid);
+    }
+    const herdsGone = base ? [...base.herds.keys()].filter(pid => !state.herds.has(pid)) : [];
+    w.u16(herdsGone.length); for (const pid of herdsGone) w.str(pid);
+
+    // strays: like one more herd, with no owner
+    const strayUps = [], strayRem = [];
+    for (const [sid, t] of state.strays) { const bt = base && base.strays.get(sid); if (!bt || !sameTuple(bt, t)) strayUps.push([sid, t]); }
+    if (base) for (const sid of base.strays.keys()) if (!state.strays.has(sid)) strayRem.push(sid);
+    w.u16(state.strayCount);
+    w.u16(strayUps.length); for (const [sid, t] of strayUps) { w.u32(sid); writeSheep(w, t); }
+    w.u16(strayRem.length); for (const sid of strayRem) w.u32(sid);
+
+    // traits: only for sheep the client has not been sent yet
+    const newTraits = [], oldTraits = [];
+    for (const [sid, t] of state.traits) if (!base || !base.traits.has(sid)) newTraits.push([sid, t]);
+    if (base) for (const sid of base.traits.keys()) if (!state.traits.has(sid)) oldTraits.push(sid);
+    w.u16(newTraits.length); for (const [sid, t] of newTraits) { w.u32(sid); for (const v of t) w.u8(v); }
+    w.u16(oldTraits.length); for (const sid of oldTraits) w.u32(sid);
+
+    // wolves: few and always moving, send them whole
+    w.u16(state.wolves.length);
+    for (const [x, y, st] of state.wolves) { w.i16(x); w.i16(y); w.u8(st); }
+
+    // dogs: one per shepherd at most, also sent whole
+    w.u16(state.dogs.length);
+    for (const [id, x, y, st] of state.dogs) { w.str(id); w.i16(x); w.i16(y); w.u8(st); }
+
+    // patches: added / removed tiles
+    const added = [], removed = [];
+    for (const k of state.patches) if (!base || !base.patches.has(k)) added.push(k);
+    if (base) for (const k of base.patches) if (!state.patches.has(k)) removed.push(k);
+    w.u16(added.length); for (const k of added) writeTile(w, k);
+    w.u16(removed.length); for (const k of removed) writeTile(w, k);
+
+    sent.set(seq, state);
+    if (sent.size > MAX_BASELINES) sent.delete(sent.keys().next().value);
+    return w.finish();
+  }
+
+  return { encode, ack, get seq(){ return seq; } };
+}
+
+/**
+ * Client side: decode(bytes) -> { seq, snapshot } or null when the message
+ * is a delta against a baseline we no longer have (caller should ack 0).
+ */
+export function createSnapshotDecoder() {
+  const states = new Map(); // seq -> state
+
+  function decode(bytes) {
+    const r = createReader(bytes);
+    const version = r.u8(), kind = r.u8();
+    if (version !== SNAPSHOT_VERSION || kind !== KIND_SNAPSHOT) return null;
+    const seq = r.u32(), baseSeq = r.u32(), ts = r.f64(), online = r.u16(), lastInput = r.u32();
+    const base = baseSeq ? states.get(baseSeq) : null;
+    if (baseSeq && !base) return null;
+    const inventory = readInventory(r);
+
+    const players = new Map(base ? base.players : []);
+    for (let n = r.u16(); n > 0; n--) { const p = readPlayer(r); players.set(p.id, p); }
+    for (let n = r.u16(); n > 0; n--) players.delete(r.str());
+
+    const herds = new Map(base ? base.herds : []);
+    for (let n = r.u16(); n > 0; n--) {
+      const pid = r.str();
+      const flock = new Map(herds.get(pid) || []);
+      for (let k = r.u16(); k > 0; k--) { const sid = r.u32(); flock.set(sid, readSheep(r)); }
+      for (let k = r.u16(); k > 0; k--) flock.delete(r.u32());
+      herds.set(pid, flock);
+    }
+    for (let n = r.u16(); n > 0; n--) herds.delete(r.str());
+
+    const strayCount = r.u16();
+    const strays = new Map(base ? base.strays : []);
+    for (let n = r.u16(); n > 0; n--) { const sid = r.u32(); strays.set(sid, readSheep(r)); }
+    for (let n = r.u16(); n > 0; n--) strays.delete(r.u32());
+
+    const traits = new Map(base ? base.traits : []);
+    for (let n = r.u16(); n > 0; n--) { const sid = r.u32(); traits.set(sid, [r.u8(), r.u8(), r.u8(), r.u8(), r.u8()]); }
+    for (let n = r.u16(); n > 0; n--) traits.delete(r.u32());
+
+    const wolves = [];
+    for (let n = r.u16(); n > 0; n--) wolves.push([r.i16(), r.i16(), r.u8()]);
+
+    const dogs = [];
+    for (let n = r.u16(); n > 0; n--) dogs.push([r.str(), r.i16(), r.i16(), r.u8()]);
+
+    const patches = new Set(base ? base.patches : []);
+    for (let n = r.u16(); n > 0; n--) patches.add(readTile(r));
+    for (let n = r.u16(); n > 0; n--) patches.delete(readTile(r));
+
+    const state = { ts, online, lastInput, inventory, players, herds, strays, strayCount, traits, wolves, dogs, patches };
+    states.set(seq, state);
+    // anything older than the baseline the server just used is never needed again
+    for (const k of states.keys()) if (k < baseSeq || states.size > MAX_BASELINES) states.delete(k);
+    return { seq, snapshot: { ...stateToSnapshot(state), seq } };
+  }
+
+  return { decode };
+}
@@ -0,0 +1,243 @@
+// shared/world.js
+"use strict";
+import { createRng, hash01 } from "./rng.js";
+
+/**
+ * Single source of truth for the world layout, imported by the server and
+ * the client. The server builds the definition and sends it in `hello`;
+ * clients rebuild the helpers from that plain object so they can never
+ * render a world that disagrees with the authoritative one.
+ *
+ * Layout is procedural from a seed: noisy concentric rings (pasture, water,
+ * glen, dark), winding streams and ponds in the pasture, a few bridges
+ * across the river at random angles, and one trading post on the pasture.
+ * Generation only uses integer hashing, + - * / and Math.sqrt, so a seed
+ * yields byte-identical maps everywhere.
+ */
+
+/** Walkability per ring: true / false, or "bridge" = only on bridge tiles. */
+export const WALK_RULES = { pasture: true, water: "bridge", glen: true, dark: false };
+
+export const tileKey = (x, y) => `${x},${y}`;
+
+const RINGS = ["pasture", "water", "glen", "dark"];
+const PASTURE = 0, WATER = 1, GLEN = 2, DARK = 3;
+
+/** Auto-fit ring widths into the world and return the ring edges (tiles). */
+function fitEdges(maxR) {
+  let rPasture = Math.floor(maxR * 0.45);
+  let rWater   = Math.floor(maxR * 0.17);
+  let rGlen    = Math.floor(maxR * 0.25);
+  let rDark    = Math.max(2, maxR - (rPasture + rWater + rGlen));
+  while (rPasture + rWater + rGlen + rDark > maxR) {
+    if (rPasture > 8) rPasture--;
+    else if (rGlen > 6) rGlen--;
+    else if (rWater > 4) rWater--;
+    else { rDark = Math.max(2, rDark - 1); break; }
+  }
+  return {
+    pasture: maxR,
+    water:   maxR - rPasture,
+    glen:    maxR - rPasture - rWater,
+    dark:    maxR - rPasture - rWater - rGlen
+  };
+}
+
+/* ===== NOISE ===== */
+
+/** Pseudo-angle of (dx,dy) in [0,4): monotonic in the true angle, no trig. */
+function pseudoAngle(dx, dy) {
+  if (dy >= 0) return dx >= 0 ? dy / (dx + dy || 1) : 1 - dx / (dy - dx);
+  return dx < 0 ? 2 - dy / (-dx - dy) : 3 + dx / (dx - dy);
+}
+
+/** Periodic value noise around the circle (t in [0,4)), 0..1. */
+function loopNoise(seed, salt, t, knots) {
+  const u = t / 4 * knots;
+  const i = Math.floor(u), f = u - i;
+  const a = hash01(seed, salt, i % knots);
+  const b = hash01(seed, salt, (i + 1) % knots);
+  return a + (b - a) * f * f * (3 - 2 * f);
+}
+
+/** Boundary wobble in roughly -1..1 (coarse bends + fine ripple). */
+function wobble(seed, salt, t) {
+  return (loopNoise(seed, salt, t, 12) - 0.5) * 1.4 + (loopNoise(seed, salt + 1, t, 40) - 0.5) * 0.6;
+}
+
+function randomDir(rng) {
+  for (;;) {
+    const x = rng.next() * 2 - 1, y = rng.next() * 2 - 1;
+    const d2 = x*x + y*y;
+    if (d2 > 0.01 && d2 <= 1) { const d = Math.sqrt(d2); return { x: x / d, y: y / d }; }
+  }
+}
+
+/* ===== GENERATION ===== */
+
+/** Ring code per tile: noisy rings, then streams and ponds carved into the pasture. */
+function generateGrid({ seed, WORLD, cx, cy, edges }) {
+  const grid = new Uint8Array(WORLD * WORLD);
+  for (let y = 0; y < WORLD; y++) {
+    for (let x = 0; x < WORLD; x++) {
+      const dx = x - cx + 0.5, dy = y - cy + 0.5;
+      const r = Math.sqrt(dx*dx + dy*dy);
+      const t = pseudoAngle(dx, dy);
+      let code = DARK;
+      if (r > edges.water + 4.0 * wobble(seed, 11, t)) code = PASTURE;
+      else if (r > edges.glen + 3.0 * wobble(seed, 23, t)) code = WATER;
+      else if (r > edges.dark + 4.0 * wobble(seed, 37, t)) code = GLEN;
+      grid[y * WORLD + x] = code;
+    }
+  }
+
+  const rng = createRng(seed);
+  const flood = (x, y) => {
+    if (x < 0 || y < 0 || x >= WORLD || y >= WORLD) return;
+    if (grid[y * WORLD + x] === PASTURE) grid[y * WORLD + x] = WATER;
+  };
+
+  // winding streams: leave the river heading outward, wander, dead-end in the pasture
+  const streams = 2 + rng.int(3);
+  for (let s = 0; s < streams; s++) {
+    const d = randomDir(rng);
+    let x = cx + d.x * (edges.water - 1), y = cy + d.y * (edges.water - 1);
+    let hx = d.x, hy = d.y;
+    const len = 18 + rng.int(24);
+    const wide = rng.next() < 0.4;
+    for (let i = 0; i < len; i++) {
+      hx += (rng.next() - 0.5) * 0.7 + d.x * 0.15;
+      hy += (rng.next() - 0.5) * 0.7 + d.y * 0.15;
+      const hl = Math.sqrt(hx*hx + hy*hy) || 1;
+      hx /= hl; hy /= hl;
+      const px = Math.floor(x), py = Math.floor(y);
+      x += hx; y += hy;
+      const tx = Math.floor(x), ty = Math.floor(y);
+      if (tx < 3 || ty < 3 || tx >= WORLD - 3 || ty >= WORLD - 3) break;
+      if (tx !== px && ty !== py) flood(tx, py); // stay 4-connected
+      flood(tx, ty);
+      if (wide) flood(tx + 1, ty);
+    }
+  }
+
+  // ponds: small noisy blobs well clear of the river
+  const ponds = 3 + rng.int(4);
+  for (let p = 0; p < ponds; p++) {
+    for (let g = 0; g < 50; g++) {
+      const px = 5 + rng.int(WORLD - 10), py = 5 + rng.int(WORLD - 10);
+      const dx = px - cx + 0.5, dy = py - cy + 0.5;
+      if (Math.sqrt(dx*dx + dy*dy) < edges.water + 7) continue;
+      const rad = 1.5 + rng.next() * 2.5;
+      for (let oy = -5; oy <= 5; oy++) {
+        for (let ox = -5; ox <= 5; ox++) {
+          const jitter = hash01(seed, px + ox, py + oy) - 0.5;
+          if (Math.sqrt(ox*ox + oy*oy) < rad + jitter) flood(px + ox, py + oy);
+        }
+      }
+      break;
+    }
+  }
+
+  return grid;
+}
+
+/** Ring lookup helpers over a generated grid (no bridges / walkability). */
+function ringHelpers({ WORLD, cx, cy }, grid) {
+  function radial(x, y) {
+    const dx = x - cx + 0.5, dy = y - cy + 0.5;
+    return Math.sqrt(dx*dx + dy*dy);
+  }
+  function ringAt(x, y) {
+    if (x < 0 || y < 0 || x >= WORLD || y >= WORLD) return "pasture";
+    return RINGS[grid[y * WORLD + x]];
+  }
+  return { radial, ringAt };
+}
+
+/**
+ * Bridges across the river at random, well-spread angles: walk a ray out
+ * from the center and collect every WATER tile (kept 4-connected so it is
+ * walkable), stopping once the ray is back on pasture.
+ */
+function placeBridges({ seed, cx, cy }, ringAt) {
+  const rng = createRng(seed ^ 0x5bd1e995);
+  const count = 3 + rng.int(4);
+  const dirs = [];
+  for (let g = 0; dirs.length < count && g < 200; g++) {
+    const d = randomDir(rng);
+    if (dirs.some(o => o.x*d.x + o.y*d.y > 0.8)) continue;
+    dirs.push(d);
+  }
+
+  const bridges = [];
+  const seen = new Set();
+  for (const d of dirs) {
+    const maxSteps = Math.max(cx, cy) + 2;
+    let px = cx, py = cy;
+    const visit = (x, y) => {
+      const ring = ringAt(x, y);
+      if (ring === "water" && !seen.has(tileKey(x, y))) { seen.add(tileKey(x, y)); bridges.push({ x, y }); }
+      return ring === "pasture";
+    };
+    for (let t = 0; t <= maxSteps; t += 0.5) {
+      const x = Math.floor(cx + 0.5 + d.x * t), y = Math.floor(cy + 0.5 + d.y * t);
+      if (x === px && y === py) continue;
+      if (x !== px && y !== py && visit(x, py)) break;
+      if (visit(x, y)) break;
+      px = x; py = y;
+    }
+  }
+  return bridges;
+}
+
+/**
+ * The trading post: a dry pasture tile (with dry ground all around) a few
+ * tiles past the river, out along a random direction from the center.
+ */
+function placeMarket({ seed, cx, cy, WORLD }, ringAt) {
+  const rng = createRng(seed ^ 0x27d4eb2f);
+  const dry = (x, y) => x > 0 && y > 0 && x < WORLD - 1 && y < WORLD - 1 && ringAt(x, y) === "pasture";
+  for (let g = 0; g < 64; g++) {
+    const d = randomDir(rng);
+    let onPasture = 0;
+    for (let t = 0; t <= Math.max(cx, cy); t += 0.5) {
+      const x = Math.floor(cx + 0.5 + d.x * t), y = Math.floor(cy + 0.5 + d.y * t);
+      if (ringAt(x, y) === "pasture") onPasture++;
+      if (onPasture < 8) continue;
+      if (dry(x, y) && dry(x + 1, y) && dry(x - 1, y) && dry(x, y + 1) && dry(x, y - 1)) return { x, y };
+    }
+  }
+  return { x: cx, y: WORLD - 3 }; // bottom edge of the pasture
+}
+
+/**
+ * Build the plain, JSON-safe world definition (what `hello` carries).
+ * The tile grid itself is not sent: buildWorld() regenerates it from `seed`.
+ */
+export function createWorldDef({ TILE, WORLD, seed }) {
+  const cx = Math.floor(WORLD / 2);
+  const cy = Math.floor(WORLD / 2);
+  const edges = fitEdges(Math.min(cx, cy) - 1);
+  const base = { TILE, WORLD, seed: seed >>> 0, cx, cy, edges };
+  const { ringAt } = ringHelpers(base, generateGrid(base));
+  const bridges = placeBridges(base, ringAt);
+  const market = placeMarket(base, ringAt);
+  return { ...base, bridges, market, walk: { ...WALK_RULES } };
+}
+
+/** Rebuild lookup helpers (ringAt, canWalk, ...) from a world definition. */
+export function buildWorld(def) {
+  const { WORLD, walk } = def;
+  const grid = generateGrid(def);
+  const { radial, ringAt } = ringHelpers(def, grid);
+  const bridgeSet = new Set(def.bridges.map(b => tileKey(b.x, b.y)));
+
+  function canWalk(nx, ny) {
+    if (nx < 0 || ny < 0 || nx >= WORLD || ny >= WORLD) return false;
+    const rule = walk[ringAt(nx, ny)];
+    if (rule === "bridge") return bridgeSet.has(tileKey(nx, ny));
+    return !!rule;
+  }
+
+  return { ...def, grid, radial, ringAt, bridgeSet, canWalk };
+}